@@ -0,0 +1,141 @@
+import {
+    Info, DenseInfo, Node, DenseNodes, Way, Relation, ChangeSet, PrimitiveGroup
+} from './proto/osmformat.js';
+
+/*
+ * Readers of the PrimitiveGroup members for the option ids: 'bigint'.
+ * The ids, refs, memids and changesets are read as BigInt,
+ * all other fields by the generated readers.
+ */
+
+/** Reads a varint as an unsigned 64-bit BigInt */
+function read_uint64(pbf) {
+    const buf = pbf.buf;
+    let val = 0, mul = 1, b;
+    do {    // up to 49 bits are safe as a number
+        b = buf[pbf.pos++];
+        val += (b & 0x7f) * mul;
+        mul *= 128;
+    } while (b >= 0x80 && mul < 2 ** 49);
+    let big = BigInt(val);
+    for (let shift = 49n; b >= 0x80; shift += 7n) {
+        if (shift > 63n)
+            throw new Error('Expected varint not more than 10 bytes');
+        b = buf[pbf.pos++];
+        big += BigInt(b & 0x7f) << shift;
+    }
+    return BigInt.asUintN(64, big);
+}
+
+export function read_int64(pbf) {
+    return BigInt.asIntN(64, read_uint64(pbf));
+}
+
+export function read_sint64(pbf) {
+    const u = read_uint64(pbf);
+    return (u >> 1n) ^ -(u & 1n);
+}
+
+export function read_packed(pbf, read, arr) {
+    if (pbf.type !== 2)     // not packed
+        return arr.push(read(pbf));
+    const end = pbf.readVarint() + pbf.pos;
+    while (pbf.pos < end)
+        arr.push(read(pbf));
+    return arr;
+}
+
+function read_message(pbf, readField, obj) {
+    return pbf.readFields(readField, obj, pbf.readVarint() + pbf.pos);
+}
+
+function read_info(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 3)
+            obj.changeset = read_int64(pbf);
+        else
+            Info._readField(tag, obj, pbf);
+    }, { version: -1, timestamp: 0, changeset: 0n, uid: 0, user_sid: 0, visible: false });
+}
+
+function read_dense_info(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 3)
+            read_packed(pbf, read_sint64, obj.changeset);
+        else
+            DenseInfo._readField(tag, obj, pbf);
+    }, { version: [], timestamp: [], changeset: [], uid: [], user_sid: [], visible: [] });
+}
+
+function read_node(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 1)
+            obj.id = read_sint64(pbf);
+        else if (tag === 4)
+            obj.info = read_info(pbf);
+        else
+            Node._readField(tag, obj, pbf);
+    }, { id: 0n, keys: [], vals: [], info: null, lat: 0, lon: 0 });
+}
+
+function read_dense(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 1)
+            read_packed(pbf, read_sint64, obj.id);
+        else if (tag === 5)
+            obj.denseinfo = read_dense_info(pbf);
+        else
+            DenseNodes._readField(tag, obj, pbf);
+    }, { id: [], denseinfo: null, lat: [], lon: [], keys_vals: [] });
+}
+
+function read_way(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 1)
+            obj.id = read_int64(pbf);
+        else if (tag === 4)
+            obj.info = read_info(pbf);
+        else if (tag === 8)
+            read_packed(pbf, read_sint64, obj.refs);
+        else
+            Way._readField(tag, obj, pbf);
+    }, { id: 0n, keys: [], vals: [], info: null, refs: [], lat: [], lon: [] });
+}
+
+function read_relation(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 1)
+            obj.id = read_int64(pbf);
+        else if (tag === 4)
+            obj.info = read_info(pbf);
+        else if (tag === 9)
+            read_packed(pbf, read_sint64, obj.memids);
+        else
+            Relation._readField(tag, obj, pbf);
+    }, { id: 0n, keys: [], vals: [], info: null, roles_sid: [], memids: [], types: [] });
+}
+
+function read_changeset(pbf) {
+    return read_message(pbf, (tag, obj, pbf) => {
+        if (tag === 1)
+            obj.id = read_int64(pbf);
+        else
+            ChangeSet._readField(tag, obj, pbf);
+    }, { id: 0n });
+}
+
+/** Same as PrimitiveGroup._readField, with the ids as BigInt */
+export function read_group_field(tag, group, pbf) {
+    if (tag === 1)
+        group.nodes.push(read_node(pbf));
+    else if (tag === 2)
+        group.dense = read_dense(pbf);
+    else if (tag === 3)
+        group.ways.push(read_way(pbf));
+    else if (tag === 4)
+        group.relations.push(read_relation(pbf));
+    else if (tag === 5)
+        group.changesets.push(read_changeset(pbf));
+    else
+        PrimitiveGroup._readField(tag, group, pbf);
+}
@@ -0,0 +1,234 @@
+import { open, readFile, writeFile } from 'node:fs/promises';
+import Pbf from 'pbf';
+import { Blob as BlobData, BlobHeader } from './proto/fileformat.js';
+import { decompress } from './decompress.js';
+import { read_int64, read_sint64, read_packed } from './bigint.js';
+import { osm_options, parse_data, raw_block } from './parser.js';
+
+const entityTypes = ['node', 'way', 'relation', 'changeset'];
+
+/**
+ * Index of blobs in an osm.pbf file, for random access by entity type and id.
+ * Every entry describes one blob:
+ * {offset, length, type, compression, entity, min_id, max_id, count},
+ * the last five are present only if the index was created with ids.
+ */
+export class BlobIndex {
+    /**
+     * @param {string} file path to the osm.pbf file
+     * @param {object[]} blobs index entries
+     * @param {{size: number, mtime: number}} stat of the file
+     */
+    constructor(file, blobs, stat) {
+        this.file = file;
+        this.blobs = blobs;
+        this.stat = stat;
+    }
+
+    /**
+     * Scans the file. Only the BlobHeaders are read unless opts.ids is true,
+     * in which case the OSMData blocks are decompressed to find out
+     * the entity type and the id range of every block.
+     */
+    static async create(file, opts = { ids: true }) {
+        const fh = await open(file);
+        try {
+            const stat = await fh.stat();
+            const blobs = [];
+            let pos = 0;
+            while (pos < stat.size) {
+                const [header, hlen] = await read_header(fh, pos);
+                const entry = {
+                    offset: pos,
+                    length: 4 + hlen + header.datasize,
+                    type: header.type
+                };
+                if (opts.ids && header.type == 'OSMData') {
+                    const blob = await read_blob(fh, pos + 4 + hlen, header.datasize);
+                    entry.compression = blob.data;
+                    Object.assign(entry, scan_block(decompress(raw_block(blob))));
+                }
+                blobs.push(entry);
+                pos += entry.length;
+            }
+            return new BlobIndex(file, blobs, {
+                size: stat.size,
+                mtime: stat.mtimeMs
+            });
+        } finally {
+            await fh.close();
+        }
+    }
+
+    /**
+     * Loads the index saved by save(), checks that the file
+     * has not been changed since.
+     */
+    static async load(file, path = file + '.idx') {
+        const json = JSON.parse(await readFile(path, 'utf8'));
+        const fh = await open(file);
+        try {
+            const stat = await fh.stat();
+            if (stat.size != json.size || stat.mtimeMs != json.mtime)
+                throw new Error(`index ${path} is out of date`);
+        } finally {
+            await fh.close();
+        }
+        return new BlobIndex(file, json.blobs, { size: json.size, mtime: json.mtime });
+    }
+
+    /** Saves the index into a sidecar file */
+    async save(path = this.file + '.idx') {
+        await writeFile(path, JSON.stringify({
+            size: this.stat.size,
+            mtime: this.stat.mtime,
+            blobs: this.blobs
+        }));
+    }
+
+    /**
+     * Returns entries of the OSMData blobs which may contain entities
+     * of the given type with ids in the range [from, to].
+     * @param {{type?: string, from?: number, to?: number}} query
+     */
+    find(query = {}) {
+        const from = query.from ?? -Infinity, to = query.to ?? Infinity;
+        const filter = query.type !== undefined || from > -Infinity || to < Infinity;
+        const result = [];
+        for (const entry of this.blobs) {
+            if (entry.type != 'OSMData')
+                continue;
+            if (filter) {
+                if (entry.entity === undefined)
+                    throw new Error('the index is created without ids');
+                if (entry.count == 0)
+                    continue;
+                if (query.type !== undefined && entry.entity != query.type
+                    && entry.entity != 'mixed')
+                    continue;
+                if (entry.max_id < from || entry.min_id > to)
+                    continue;
+            }
+            result.push(entry);
+        }
+        return result;
+    }
+
+    /**
+     * Reads the blobs selected by the query and yields their entities
+     * of the given type and with ids in the given range.
+     * @param {{type?: string, from?: number, to?: number}} query
+     * @param {OSMOptions} osmopts
+     */
+    async* read(query = {}, osmopts = {}) {
+        const opts = osm_options(osmopts);
+        const from = query.from ?? -Infinity, to = query.to ?? Infinity;
+        const fh = await open(this.file);
+        try {
+            for (const entry of this.find(query)) {
+                const [header, hlen] = await read_header(fh, entry.offset);
+                const blob = await read_blob(fh, entry.offset + 4 + hlen, header.datasize);
+                for (const item of parse_data(decompress(raw_block(blob)), opts)) {
+                    if ((query.type === undefined || item.type == query.type)
+                        && item.id >= from && item.id <= to)
+                        yield item;
+                }
+            }
+        } finally {
+            await fh.close();
+        }
+    }
+}
+
+async function read_exact(fh, length, position) {
+    const buf = Buffer.alloc(length);
+    const { bytesRead } = await fh.read(buf, 0, length, position);
+    if (bytesRead != length)
+        throw new Error(`unexpected end of file at ${position + bytesRead}`);
+    return buf;
+}
+
+/** Returns BlobHeader at the given position and its length */
+export async function read_header(fh, pos) {
+    const hlen = (await read_exact(fh, 4, pos)).readUInt32BE(0);
+    const header = BlobHeader.read(new Pbf(await read_exact(fh, hlen, pos + 4)));
+    if (header.type != 'OSMHeader' && header.type != 'OSMData')
+        throw new Error(`unexpected blob type '${header.type}' at ${pos}`);
+    return [header, hlen];
+}
+
+export async function read_blob(fh, pos, size) {
+    return BlobData.read(new Pbf(await read_exact(fh, size, pos)));
+}
+
+/**
+ * Finds the entity type and the id range of a PrimitiveBlock
+ * without decoding anything but ids.
+ */
+function scan_block(buf) {
+    const res = { entity: null, min_id: Infinity, max_id: -Infinity, count: 0 };
+    scan_ids(buf, (type, id) => {
+        if (type == 'changeset')
+            return;
+        if (res.entity != type)
+            res.entity = res.entity == null ? type : 'mixed';
+        res.count++;
+        if (id < res.min_id)
+            res.min_id = id;
+        if (id > res.max_id)
+            res.max_id = id;
+    });
+    if (res.count == 0) {
+        res.min_id = null;
+        res.max_id = null;
+    }
+    return res;
+}
+
+/**
+ * Calls found(type, id) for every entity of a PrimitiveBlock,
+ * decoding nothing but the ids, as BigInt if bigint is true
+ */
+export function scan_ids(buf, found, bigint = false) {
+    new Pbf(buf).readFields(scan_block_field, { found: found, bigint: bigint });
+}
+
+function scan_block_field(tag, scan, pbf) {
+    if (tag === 2)
+        pbf.readFields(scan_group_field, scan, pbf.readVarint() + pbf.pos);
+}
+
+function scan_group_field(tag, scan, pbf) {
+    if (tag < 1 || tag > 5)
+        return;
+    const end = pbf.readVarint() + pbf.pos;
+    const type = entityTypes[tag == 1 ? 0 : tag - 2];
+    if (tag === 2) {     // DenseNodes
+        const ids = pbf.readFields(scan_dense_field, { ids: [], bigint: scan.bigint }, end).ids;
+        let id = scan.bigint ? 0n : 0;
+        for (const delta of ids)
+            scan.found(type, id += delta);
+    } else {
+        const obj = { tag: tag, id: 0, bigint: scan.bigint };
+        scan.found(type, pbf.readFields(scan_id_field, obj, end).id);
+    }
+}
+
+function scan_dense_field(tag, obj, pbf) {
+    if (tag !== 1)
+        return;
+    if (obj.bigint)
+        read_packed(pbf, read_sint64, obj.ids);
+    else
+        pbf.readPackedSVarint(obj.ids);
+}
+
+function scan_id_field(tag, obj, pbf) {
+    if (tag !== 1)
+        return;
+    // sint64 for nodes, int64 for the others
+    if (obj.bigint)
+        obj.id = obj.tag === 1 ? read_sint64(pbf) : read_int64(pbf);
+    else
+        obj.id = obj.tag === 1 ? pbf.readSVarint() : pbf.readVarint(true);
+}
@@ -0,0 +1,222 @@
+#!/usr/bin/env node
+import { createReadStream, createWriteStream } from 'node:fs';
+import { once } from 'node:events';
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import { parseArgs } from 'node:util';
+import {
+    OSMTransform, OSMXmlTransform, OSMWriter, normalizeHeader, withLocations, toFeature
+} from './parser.js';
+import { item_filter } from './filter.js';
+
+const usage = `usage: osm-pbf <command> [options] [file]
+
+Reads osm.pbf or OSM XML from the file, or from stdin if the file is - or missing.
+
+commands:
+  count                  count nodes, ways, relations and changesets
+  cat                    print the entities
+  header                 print the header
+  filter                 write the entities which pass the filters as osm.pbf
+
+options:
+  -f, --format <fmt>     output format of cat: ndjson (the default) or geojson
+  -o, --output <file>    output file of filter, stdout by default
+  -t, --tags <expr>      filter expression, e.g. amenity=cafe,bar or w/highway,
+                         can be repeated, see the filter option in the Readme
+      --types <list>     entity types, e.g. node,way
+      --with-info        include metadata (always on for filter)
+      --no-tags          leave the tags out
+      --ids <kind>       number (the default) or bigint, filter and
+                         cat -f geojson still need ids below 2^53
+      --workers <n>      number of worker threads
+      --history          read a full-history file
+      --on-error <mode>  throw (the default) or skip-block
+      --input-format <f> pbf or xml, by default xml for *.osm and *.xml
+      --raw              header: print the header as in the file
+  -h, --help             print this help
+`;
+
+const options = {
+    format: { type: 'string', short: 'f', default: 'ndjson' },
+    output: { type: 'string', short: 'o' },
+    tags: { type: 'string', short: 't', multiple: true },
+    types: { type: 'string' },
+    'with-info': { type: 'boolean', default: false },
+    'no-tags': { type: 'boolean', default: false },
+    ids: { type: 'string', default: 'number' },
+    workers: { type: 'string', default: '0' },
+    history: { type: 'boolean', default: false },
+    'on-error': { type: 'string', default: 'throw' },
+    'input-format': { type: 'string' },
+    raw: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+/** Maps the command line flags onto OSMOptions */
+function osm_options(values) {
+    const workers = Number(values.workers);
+    if (!Number.isInteger(workers) || workers < 0)
+        throw new Error(`wrong number of workers ${values.workers}`);
+    const onError = values['on-error'];
+    return {
+        withTags: !values['no-tags'],
+        withInfo: values['with-info'],
+        filter: values.tags,
+        types: values.types?.split(',').map(t => t.trim()),
+        ids: values.ids,
+        workers: workers,
+        history: values.history,
+        onError: onError == 'skip-block' ? err => console.error(`skipped: ${err.message}`)
+            : onError
+    };
+}
+
+function json(value, space) {
+    return JSON.stringify(value, (key, v) => typeof v == 'bigint' ? v.toString() : v, space);
+}
+
+/** Writes to stdout, waiting if its buffer is full */
+async function print(s) {
+    if (!process.stdout.write(s))
+        await once(process.stdout, 'drain');
+}
+
+/**
+ * Yields the header and entities from the file or stdin. The filters
+ * not supported for XML input are applied to the entities afterwards.
+ */
+async function* read(file, values, osmopts) {
+    const stdin = !file || file == '-';
+    const format = values['input-format'] ?? (!stdin && /\.(osm|xml)$/i.test(file) ? 'xml' : 'pbf');
+    if (format != 'pbf' && format != 'xml')
+        throw new Error(`unknown input format ${format}`);
+    let test = null;
+    if (format == 'xml' && osmopts.filter) {
+        test = item_filter(osmopts.filter);
+        osmopts = Object.assign({}, osmopts, { filter: undefined, withTags: true });
+    }
+    const input = stdin ? process.stdin : createReadStream(file);
+    const readable = input.pipe(format == 'xml' ? new OSMXmlTransform(osmopts)
+        : new OSMTransform(osmopts));
+    try {
+        for await (const chunk of readable) {
+            for (const item of chunk) {
+                if (!test || item.type === undefined || test(item))
+                    yield item;
+            }
+        }
+    } finally {
+        input.destroy();
+    }
+}
+
+async function count(file, values) {
+    const osmopts = osm_options(values);
+    osmopts.withTags = false;   // the filter expressions do not need them
+    osmopts.withInfo = false;
+    const counts = { node: 0, way: 0, relation: 0, changeset: 0 };
+    for await (const item of read(file, values, osmopts)) {
+        if (item.type !== undefined)
+            counts[item.type]++;
+    }
+    await print(`nodes: ${counts.node}\nways: ${counts.way}\nrelations: ${counts.relation}\n`);
+    if (counts.changeset > 0)
+        await print(`changesets: ${counts.changeset}\n`);
+}
+
+async function cat(file, values) {
+    if (values.format == 'ndjson') {
+        for await (const item of read(file, values, osm_options(values))) {
+            if (item.type !== undefined)
+                await print(json(item) + '\n');
+        }
+    }
+    else if (values.format == 'geojson') {
+        // the ways need all the nodes, the filters are applied to the features
+        const osmopts = osm_options(values);
+        const test = item_filter(osmopts.filter);
+        const types = osmopts.types;
+        const items = read(file, values, Object.assign({}, osmopts, {
+            filter: undefined, types: undefined, withTags: true
+        }));
+        let sep = '{"type":"FeatureCollection","features":[\n';
+        for await (const item of withLocations(items)) {
+            if (item.type === undefined || !item.tags || (types && !types.includes(item.type))
+                || !test(item))
+                continue;
+            const feature = toFeature(item);
+            if (values['no-tags'])
+                feature.properties = { '@type': item.type, '@id': item.id };
+            if (feature.geometry) {
+                await print(sep + json(feature));
+                sep = ',\n';
+            }
+        }
+        await print(sep == ',\n' ? '\n]}\n' : sep + ']}\n');
+    }
+    else
+        throw new Error(`unknown output format ${values.format}`);
+}
+
+async function header(file, values) {
+    const osmopts = Object.assign(osm_options(values), { types: ['node'], filter: undefined });
+    for await (const item of read(file, values, osmopts)) {
+        if (item.type !== undefined)
+            break;
+        const header = values.raw ? item : normalizeHeader(item);
+        await print(json(header, 4) + '\n');
+        return;
+    }
+    throw new Error('no header in the input');
+}
+
+async function filter(file, values) {
+    if (!values.output && process.stdout.isTTY)
+        throw new Error('will not write osm.pbf to a terminal, use -o or a pipe');
+    const osmopts = Object.assign(osm_options(values), { withInfo: true });
+    const items = read(file, values, osmopts);
+    async function* batches() {
+        let batch = [];
+        for await (const item of items) {
+            batch.push(item);
+            if (batch.length >= 8000 || item.type === undefined) {
+                yield batch;
+                batch = [];
+            }
+        }
+        if (batch.length > 0)
+            yield batch;
+    }
+    const output = values.output ? createWriteStream(values.output) : process.stdout;
+    await pipeline(Readable.from(batches()), new OSMWriter(), output);
+}
+
+const commands = { count, cat, header, filter };
+
+process.stdout.on('error', err => {
+    if (err.code == 'EPIPE')
+        process.exit(0);    // e.g. piped into head
+    throw err;
+});
+
+try {
+    const { values, positionals } = parseArgs({ options, allowPositionals: true });
+    const [command, file, ...rest] = positionals;
+    if (values.help) {
+        process.stdout.write(usage);
+        process.exit(0);
+    }
+    if (!command) {
+        process.stderr.write(usage);
+        process.exit(1);
+    }
+    if (!commands[command])
+        throw new Error(`unknown command ${command}, see osm-pbf --help`);
+    if (rest.length > 0)
+        throw new Error('only one input file is allowed');
+    await commands[command](file, values);
+} catch (err) {
+    console.error(`osm-pbf: ${err.message}`);
+    process.exit(1);
+}
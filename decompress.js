@@ -0,0 +1,309 @@
+import * as zlib from 'node:zlib';
+
+/**
+ * Decompressors for the data fields of the Blob message, keyed by the
+ * field name. Each one is called as fn(data, raw_size) and should
+ * return the uncompressed Buffer. Assign your own function to add
+ * or replace a decompressor, e.g. for zstd on older Node.js versions.
+ */
+export const decompressors = {
+    raw: data => data,
+    zlib_data: data => zlib.inflateSync(data),
+    lz4_data: lz4_decompress,
+    lzma_data: lzma_decompress
+};
+
+if (typeof zlib.zstdDecompressSync == 'function')
+    decompressors.zstd_data = data => zlib.zstdDecompressSync(data);
+
+/**
+ * Returns uncompressed content of a raw block.
+ * @param {{compression: string, data: Buffer, raw_size?: number}} raw
+ */
+export function decompress(raw) {
+    const fn = decompressors[raw.compression];
+    if (!fn)
+        throw new Error(`decompressing ${raw.compression} not implemented`);
+    const buf = fn(raw.data, raw.raw_size);
+    if (raw.raw_size && buf.length != raw.raw_size)
+        throw new Error(`${raw.compression}: expected ${raw.raw_size} bytes, got ${buf.length}`);
+    return buf;
+}
+
+/**
+ * Decodes the LZ4 block format (not the frame format),
+ * the size of the decompressed data must be known.
+ */
+export function lz4_decompress(src, size) {
+    if (!size)
+        throw new Error('lz4_data: raw_size is required');
+    const dst = Buffer.allocUnsafe(size);
+    let s = 0, d = 0;
+    while (s < src.length) {
+        const token = src[s++];
+        let len = token >> 4;
+        if (len == 15) {
+            let b;
+            do {
+                len += (b = src[s++]);
+            } while (b == 255);
+        }
+        if (s + len > src.length || d + len > size)
+            throw new Error('lz4_data: corrupted input');
+        dst.set(src.subarray(s, s + len), d);
+        s += len;
+        d += len;
+        if (s >= src.length)
+            break;          // the last sequence has literals only
+        const offset = src[s] | (src[s + 1] << 8);
+        s += 2;
+        len = token & 15;
+        if (len == 15) {
+            let b;
+            do {
+                len += (b = src[s++]);
+            } while (b == 255);
+        }
+        len += 4;
+        if (offset == 0 || offset > d || d + len > size)
+            throw new Error('lz4_data: corrupted input');
+        if (offset >= len) {
+            dst.copyWithin(d, d - offset, d - offset + len);
+            d += len;
+        } else {
+            for (let i = 0; i < len; i++, d++)
+                dst[d] = dst[d - offset];
+        }
+    }
+    if (d != size)
+        throw new Error('lz4_data: unexpected end of input');
+    return dst;
+}
+
+/**
+ * Decodes LZMA data in the "alone" format (.lzma files), i.e. the 13-byte
+ * header with properties, dictionary size and uncompressed size
+ * followed by the compressed stream. Follows LzmaSpec.cpp from the LZMA SDK.
+ */
+export function lzma_decompress(src, size) {
+    if (src.length < 13)
+        throw new Error('lzma_data: input too short');
+    let d = src[0];
+    if (d >= 9 * 5 * 5)
+        throw new Error('lzma_data: wrong properties');
+    const lc = d % 9;
+    d = (d - lc) / 9;
+    const lp = d % 5, pb = (d - lp) / 5;
+    let unpackSize = -1;          // unknown, the end marker is mandatory
+    if (src.readUInt32LE(9) != 0xffffffff || src.readUInt32LE(5) != 0xffffffff)
+        unpackSize = src.readUInt32LE(5) + src.readUInt32LE(9) * 0x100000000;
+    if (size && unpackSize >= 0 && size != unpackSize)
+        throw new Error('lzma_data: wrong uncompressed size');
+    if (unpackSize < 0 && !size)
+        throw new Error('lzma_data: raw_size is required');
+    const out = Buffer.allocUnsafe(unpackSize >= 0 ? unpackSize : size);
+
+    const rc = new RangeDecoder(src, 13);
+    const literals = probs(0x300 << (lc + lp));
+    const posSlot = [probs(64), probs(64), probs(64), probs(64)];
+    const posDecoders = probs(1 + 114);
+    const align = probs(16);
+    const isMatch = probs(12 << 4), isRep = probs(12), isRepG0 = probs(12),
+        isRepG1 = probs(12), isRepG2 = probs(12), isRep0Long = probs(12 << 4);
+    const lenDecoder = new LenDecoder(), repLenDecoder = new LenDecoder();
+
+    let rep0 = 0, rep1 = 0, rep2 = 0, rep3 = 0;
+    let state = 0, pos = 0;
+    const pbMask = (1 << pb) - 1, lpMask = (1 << lp) - 1;
+
+    for (;;) {
+        if (pos == unpackSize && rc.finishedOK())
+            break;
+        const posState = pos & pbMask;
+        if (rc.bit(isMatch, (state << 4) + posState) == 0) {
+            if (pos >= out.length)
+                throw new Error('lzma_data: corrupted input');
+            // literal
+            const prev = pos > 0 ? out[pos - 1] : 0;
+            const base = 0x300 * (((pos & lpMask) << lc) + (prev >> (8 - lc)));
+            let symbol = 1;
+            if (state >= 7) {
+                let matchByte = out[pos - rep0 - 1];
+                do {
+                    const matchBit = (matchByte >> 7) & 1;
+                    matchByte <<= 1;
+                    const bit = rc.bit(literals, base + ((1 + matchBit) << 8) + symbol);
+                    symbol = (symbol << 1) | bit;
+                    if (matchBit != bit)
+                        break;
+                } while (symbol < 0x100);
+            }
+            while (symbol < 0x100)
+                symbol = (symbol << 1) | rc.bit(literals, base + symbol);
+            out[pos++] = symbol - 0x100;
+            state = state < 4 ? 0 : state < 10 ? state - 3 : state - 6;
+            continue;
+        }
+        let len;
+        if (rc.bit(isRep, state) != 0) {
+            if (pos == 0)
+                throw new Error('lzma_data: corrupted input');
+            if (rc.bit(isRepG0, state) == 0) {
+                if (rc.bit(isRep0Long, (state << 4) + posState) == 0) {
+                    // short rep
+                    state = state < 7 ? 9 : 11;
+                    if (pos >= out.length)
+                        throw new Error('lzma_data: corrupted input');
+                    out[pos] = out[pos - rep0 - 1];
+                    pos++;
+                    continue;
+                }
+            } else {
+                let dist;
+                if (rc.bit(isRepG1, state) == 0)
+                    dist = rep1;
+                else {
+                    if (rc.bit(isRepG2, state) == 0)
+                        dist = rep2;
+                    else {
+                        dist = rep3;
+                        rep3 = rep2;
+                    }
+                    rep2 = rep1;
+                }
+                rep1 = rep0;
+                rep0 = dist;
+            }
+            len = repLenDecoder.decode(rc, posState);
+            state = state < 7 ? 8 : 11;
+        } else {
+            rep3 = rep2;
+            rep2 = rep1;
+            rep1 = rep0;
+            len = lenDecoder.decode(rc, posState);
+            state = state < 7 ? 7 : 10;
+            // distance
+            const slot = rc.bitTree(posSlot[len < 3 ? len : 3], 6);
+            if (slot < 4)
+                rep0 = slot;
+            else {
+                const numDirectBits = (slot >> 1) - 1;
+                rep0 = (2 | (slot & 1)) * 2 ** numDirectBits;
+                if (slot < 14)
+                    rep0 += rc.reverseBitTree(posDecoders, rep0 - slot, numDirectBits);
+                else {
+                    rep0 += rc.directBits(numDirectBits - 4) * 16;
+                    rep0 += rc.reverseBitTree(align, 0, 4);
+                }
+                if (rep0 == 0xffffffff) {      // end marker
+                    if (!rc.finishedOK() || (unpackSize >= 0 && pos != unpackSize))
+                        throw new Error('lzma_data: corrupted input');
+                    break;
+                }
+            }
+            if (rep0 >= pos)
+                throw new Error('lzma_data: corrupted input');
+        }
+        len += 2;
+        if (pos + len > out.length)
+            throw new Error('lzma_data: corrupted input');
+        for (let i = 0; i < len; i++, pos++)
+            out[pos] = out[pos - rep0 - 1];
+    }
+    return pos == out.length ? out : out.subarray(0, pos);
+}
+
+function probs(n) {
+    return new Uint16Array(n).fill(1024);
+}
+
+class RangeDecoder {
+    constructor(buf, pos) {
+        this.buf = buf;
+        this.pos = pos + 5;
+        this.range = 0xffffffff;
+        this.code = buf.readUInt32BE(pos + 1);
+        if (buf[pos] != 0 || this.code == this.range)
+            throw new Error('lzma_data: corrupted input');
+    }
+
+    finishedOK() {
+        return this.code == 0;
+    }
+
+    normalize() {
+        if (this.range < 0x1000000) {
+            if (this.pos >= this.buf.length)
+                throw new Error('lzma_data: unexpected end of input');
+            this.range = (this.range << 8) >>> 0;
+            this.code = ((this.code << 8) | this.buf[this.pos++]) >>> 0;
+        }
+    }
+
+    bit(probs, i) {
+        const v = probs[i];
+        const bound = (this.range >>> 11) * v;
+        let symbol;
+        if (this.code < bound) {
+            probs[i] = v + ((2048 - v) >> 5);
+            this.range = bound;
+            symbol = 0;
+        } else {
+            probs[i] = v - (v >> 5);
+            this.code -= bound;
+            this.range -= bound;
+            symbol = 1;
+        }
+        this.normalize();
+        return symbol;
+    }
+
+    directBits(numBits) {
+        let res = 0;
+        while (numBits-- > 0) {
+            this.range >>>= 1;
+            let bit = 0;
+            if (this.code >= this.range) {
+                this.code -= this.range;
+                bit = 1;
+            }
+            res = res * 2 + bit;
+            this.normalize();
+        }
+        return res;
+    }
+
+    bitTree(probs, numBits) {
+        let m = 1;
+        for (let i = 0; i < numBits; i++)
+            m = (m << 1) + this.bit(probs, m);
+        return m - (1 << numBits);
+    }
+
+    reverseBitTree(probs, offset, numBits) {
+        let m = 1, symbol = 0;
+        for (let i = 0; i < numBits; i++) {
+            const bit = this.bit(probs, offset + m);
+            m = (m << 1) + bit;
+            symbol |= bit << i;
+        }
+        return symbol;
+    }
+}
+
+class LenDecoder {
+    constructor() {
+        this.choice = probs(2);
+        this.low = Array.from({ length: 16 }, () => probs(8));
+        this.mid = Array.from({ length: 16 }, () => probs(8));
+        this.high = probs(256);
+    }
+
+    decode(rc, posState) {
+        if (rc.bit(this.choice, 0) == 0)
+            return rc.bitTree(this.low[posState], 3);
+        if (rc.bit(this.choice, 1) == 0)
+            return 8 + rc.bitTree(this.mid[posState], 3);
+        return 16 + rc.bitTree(this.high, 8);
+    }
+}
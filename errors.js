@@ -0,0 +1,38 @@
+/**
+ * Error in the input data, with the place where it was found:
+ * blob - index of the blob in the file (0 is usually OSMHeader),
+ * offset - file offset of the blob, blockType - 'OSMHeader', 'OSMData'
+ * or null if unknown, stage - 'header' (blob framing or BlobHeader),
+ * 'inflate', 'decode' (protobuf), 'arrays' (parallel arrays of different
+ * lengths) or 'truncated'. With onError other than 'throw', skipped is
+ * the number of bytes skipped because of the error.
+ */
+export class OSMParseError extends Error {
+    constructor(reason, { stage = 'decode', blob = null, offset = null, blockType = null,
+        cause } = {}) {
+        const where = blob == null ? stage
+            : `${stage}, blob ${blob}${blockType ? ' ' + blockType : ''} at offset ${offset}`;
+        super(`${reason} (${where})`, cause ? { cause: cause } : undefined);
+        this.name = 'OSMParseError';
+        this.reason = reason;
+        this.stage = stage;
+        this.blob = blob;
+        this.offset = offset;
+        this.blockType = blockType;
+        this.skipped = null;
+    }
+}
+
+/**
+ * Converts an error into OSMParseError of the given stage, unless it is
+ * already one, and adds the location {blob, offset, blockType} if given.
+ */
+export function parse_error(err, stage, where) {
+    if (err instanceof OSMParseError) {
+        if (!where)
+            return err;
+        return new OSMParseError(err.reason, Object.assign({ stage: err.stage, cause: err.cause },
+            where));
+    }
+    return new OSMParseError(err.message, Object.assign({ stage: stage, cause: err }, where));
+}
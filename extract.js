@@ -0,0 +1,167 @@
+import { readFile } from 'node:fs/promises';
+import { createOSMStream, pass_options } from './parser.js';
+import { IdSet } from './idset.js';
+import { point_in_ring } from './geometry.js';
+import { is_normalized } from './header.js';
+
+/**
+ * Yields the header and the entities of the given area in two passes
+ * over the file: the nodes inside the area, the ways having at least
+ * one node inside with all their nodes, and the relations having
+ * at least one member in the output (or being parents of such relations).
+ * The input must be sorted by type: nodes, then ways, then relations.
+ * @param {string} file
+ * @param {{bbox?: number[], poly?: string, polygon?: object}} area
+ * bbox is [left, bottom, right, top] in degrees, poly is the path
+ * to a .poly file, polygon is the result of parsePoly
+ * @param {OSMOptions} osmopts options of the output, the first pass
+ * uses them too, except for those changing the output
+ */
+export async function* extract(file, area, osmopts = {}) {
+    if (osmopts.columnar)
+        throw new Error('columnar cannot be used with extract');
+    const inside = await area_test(area);
+
+    // the first pass finds out what to extract
+    const nodes = new IdSet(), ways = new IdSet(), rels = new IdSet();
+    const wayNodes = new IdSet();      // nodes of the ways, inside or not
+    const children = [];      // [parent, child] pairs of relations
+    for await (const item of createOSMStream(file, pass_options(osmopts))) {
+        if (item.type == 'node') {
+            if (inside.test(item.lat, item.lon))
+                nodes.add(item.id);
+        }
+        else if (item.type == 'way') {
+            if (item.refs.some(ref => nodes.has(ref))) {
+                ways.add(item.id);
+                for (const ref of item.refs)
+                    wayNodes.add(ref);
+            }
+        }
+        else if (item.type == 'relation') {
+            for (const m of item.members) {
+                if (m.type == 'node' ? nodes.has(m.ref) || wayNodes.has(m.ref)
+                    : m.type == 'way' ? ways.has(m.ref) : rels.has(m.ref))
+                    rels.add(item.id);
+                else if (m.type == 'relation')
+                    children.push([item.id, m.ref]);
+            }
+        }
+    }
+    // relations referring to the relations found later in the file
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const [parent, child] of children) {
+            if (rels.has(child) && rels.add(parent))
+                changed = true;
+        }
+    }
+
+    // the second pass yields them
+    for await (const item of createOSMStream(file, osmopts)) {
+        if (item.type === undefined) {
+            const [left, bottom, right, top] = inside.bbox;
+            yield Object.assign({}, item, {
+                bbox: is_normalized(item) ? { left, bottom, right, top } : {
+                    left: Math.round(left * 1e9), right: Math.round(right * 1e9),
+                    top: Math.round(top * 1e9), bottom: Math.round(bottom * 1e9)
+                }
+            });
+        }
+        else if (item.type == 'node' ? nodes.has(item.id) || wayNodes.has(item.id)
+            : item.type == 'way' ? ways.has(item.id) : rels.has(item.id))
+            yield item;
+    }
+}
+
+/**
+ * Parses a polygon file in the Osmosis format, returns
+ * {name, rings: [{name, hole, points: [[lon, lat], ...]}, ...]}
+ */
+export function parsePoly(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim());
+    const poly = { name: lines[0], rings: [] };
+    let ring = null;
+    for (let i = 1; i < lines.length; i++) {
+        const line = lines[i];
+        if (line == '')
+            continue;
+        if (ring == null) {
+            if (line == 'END')
+                return poly;
+            const hole = line.startsWith('!');
+            ring = { name: hole ? line.substring(1) : line, hole: hole, points: [] };
+        }
+        else if (line == 'END') {
+            if (ring.points.length < 3)
+                throw new Error(`poly: ring '${ring.name}' has less than 3 points`);
+            poly.rings.push(ring);
+            ring = null;
+        } else {
+            const [lon, lat] = line.split(/\s+/).map(Number);
+            if (!Number.isFinite(lon) || !Number.isFinite(lat))
+                throw new Error(`poly: wrong coordinates at line ${i + 1}`);
+            ring.points.push([lon, lat]);
+        }
+    }
+    throw new Error('poly: unexpected end of file');
+}
+
+/** Returns {bbox, test(lat, lon)} for the given area */
+async function area_test(area) {
+    if (area.bbox) {
+        const [left, bottom, right, top] = area.bbox;
+        if (!(left <= right && bottom <= top))
+            throw new Error('wrong bbox');
+        return {
+            bbox: area.bbox,
+            test: (lat, lon) => lat >= bottom && lat <= top && lon >= left && lon <= right
+        };
+    }
+    let polygon = area.polygon;
+    if (!polygon && area.poly)
+        polygon = parsePoly(await readFile(area.poly, 'utf8'));
+    if (!polygon)
+        throw new Error('either bbox, poly or polygon must be given');
+    const rings = polygon.rings.map(ring => ({ hole: ring.hole, points: ring.points,
+        bbox: ring_bbox(ring.points) }));
+    const outer = rings.filter(ring => !ring.hole);
+    if (outer.length == 0)
+        throw new Error('polygon has no outer rings');
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const ring of outer) {
+        bbox[0] = Math.min(bbox[0], ring.bbox[0]);
+        bbox[1] = Math.min(bbox[1], ring.bbox[1]);
+        bbox[2] = Math.max(bbox[2], ring.bbox[2]);
+        bbox[3] = Math.max(bbox[3], ring.bbox[3]);
+    }
+    const holes = rings.filter(ring => ring.hole);
+    return {
+        bbox: bbox,
+        test: (lat, lon) => {
+            if (lon < bbox[0] || lat < bbox[1] || lon > bbox[2] || lat > bbox[3])
+                return false;
+            return outer.some(ring => in_ring(ring, lon, lat))
+                && !holes.some(ring => in_ring(ring, lon, lat));
+        }
+    };
+}
+
+function ring_bbox(points) {
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const [lon, lat] of points) {
+        bbox[0] = Math.min(bbox[0], lon);
+        bbox[1] = Math.min(bbox[1], lat);
+        bbox[2] = Math.max(bbox[2], lon);
+        bbox[3] = Math.max(bbox[3], lat);
+    }
+    return bbox;
+}
+
+function in_ring(ring, x, y) {
+    const [left, bottom, right, top] = ring.bbox;
+    if (x < left || y < bottom || x > right || y > top)
+        return false;
+    return point_in_ring(ring.points, x, y);
+}
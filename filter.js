@@ -0,0 +1,166 @@
+const typeLetters = { n: 0, w: 1, r: 2, c: 3 };
+const typeIndex = { node: 0, way: 1, relation: 2, changeset: 3 };
+
+/*
+ * Filter expressions, one or several of them:
+ *   [!][types/]key                 - has the tag key
+ *   [!][types/]key=v1,v2,...       - the tag has one of the values
+ *   [!][types/]key!=v1,v2,...      - has the tag key with some other value
+ *   [!][types/]key~regex           - the tag value matches the regex
+ *   [!][types/]@id=id1,id2,...     - has one of the ids
+ * where types is a combination of the letters n, w, r and c (changesets),
+ * all types by default.
+ * An entity passes if it matches at least one expression without '!'
+ * (or there are no such expressions) and matches no expression with '!'.
+ */
+
+/**
+ * Checks the filter option and converts it into plain data
+ * which can be sent to the worker threads.
+ * @param {string|string[]|Function} spec
+ */
+export function compile_filter(spec) {
+    if (spec === undefined || spec === null)
+        return null;
+    if (typeof spec == 'function')
+        return { fn: spec };
+    if (typeof spec == 'string')
+        spec = [spec];
+    if (!Array.isArray(spec) || spec.length == 0)
+        throw new Error('wrong filter option');
+    const filter = { include: [], exclude: [] };
+    for (const expr of spec) {
+        const cond = compile_expression(expr);
+        (cond.negated ? filter.exclude : filter.include).push(cond);
+    }
+    return filter;
+}
+
+function compile_expression(expr) {
+    if (typeof expr != 'string')
+        throw new Error(`wrong filter expression ${expr}`);
+    const m = /^\s*(!?)(?:([nwrc]+)\/)?(!?)([^=!~]+?)\s*(?:(=|!=|~)\s*(.*?))?\s*$/.exec(expr);
+    if (m == null || (m[1] && m[3]) || (m[5] && m[6] == ''))
+        throw new Error(`wrong filter expression ${expr}`);
+    const [, neg1, letters, neg2, key, op, value] = m;
+    const types = [false, false, false, false];
+    for (const c of letters ?? 'nwrc')
+        types[typeLetters[c]] = true;
+    const cond = { negated: !!(neg1 || neg2), types: types, key: key, op: op ?? null };
+    if (key == '@id') {
+        if (op != '=')
+            throw new Error(`wrong filter expression ${expr}, expected @id=...`);
+        // as strings, to match both numbers and BigInt
+        cond.ids = new Set(value.split(',').map(s => {
+            if (!/^\s*-?[0-9]+\s*$/.test(s))
+                throw new Error(`wrong id ${s} in filter expression ${expr}`);
+            return BigInt(s.trim()).toString();
+        }));
+    }
+    else if (op == '~') {
+        try {
+            cond.regex = new RegExp(value);
+        } catch (err) {
+            throw new Error(`wrong regex in filter expression ${expr}: ${err.message}`);
+        }
+    }
+    else if (op)
+        cond.values = value.split(',').map(s => s.trim());
+    return cond;
+}
+
+/**
+ * Binds the filter to the string table of a block. Returns a function
+ * (type, id, keys, vals, ki, vi, n, step) checking the tags
+ * keys[ki + step * i], vals[vi + step * i] for i < n of an entity,
+ * so that the entities are tested before they are built.
+ * @param {object} filter result of compile_filter, without fn
+ * @param {string[]} strings
+ */
+export function bind_filter(filter, strings) {
+    const bind = cond => {
+        const bound = { types: cond.types, op: cond.op, ids: cond.ids };
+        if (cond.ids)
+            return bound;
+        bound.key = strings.indexOf(cond.key);
+        if (cond.values)
+            bound.values = new Set(cond.values.map(v => strings.indexOf(v)).filter(i => i >= 0));
+        if (cond.regex) {
+            const cache = new Map();      // string index => result
+            bound.test = sid => {
+                let res = cache.get(sid);
+                if (res === undefined)
+                    cache.set(sid, res = cond.regex.test(strings[sid]));
+                return res;
+            };
+        }
+        return bound;
+    };
+    const include = filter.include.map(bind), exclude = filter.exclude.map(bind);
+    const includeTypes = [0, 1, 2, 3].map(t => include.some(c => c.types[t]));
+
+    function matches(cond, id, keys, vals, ki, vi, n, step) {
+        if (cond.ids)
+            return cond.ids.has(String(id));
+        if (cond.key < 0)
+            return false;
+        for (let i = 0; i < n; i++) {
+            if (keys[ki + step * i] != cond.key)
+                continue;
+            const val = vals[vi + step * i];
+            switch (cond.op) {
+                case null: return true;
+                case '=': return cond.values.has(val);
+                case '!=': return !cond.values.has(val);
+                case '~': return cond.test(val);
+            }
+        }
+        return false;
+    }
+
+    return (type, id, keys, vals, ki, vi, n, step) => {
+        const t = typeIndex[type];
+        for (const cond of exclude) {
+            if (cond.types[t] && matches(cond, id, keys, vals, ki, vi, n, step))
+                return false;
+        }
+        if (include.length == 0)
+            return true;
+        if (!includeTypes[t])
+            return false;
+        for (const cond of include) {
+            if (cond.types[t] && matches(cond, id, keys, vals, ki, vi, n, step))
+                return true;
+        }
+        return false;
+    };
+}
+
+/**
+ * Returns a function checking built entities (with tags as objects)
+ * against the filter, for the entities filtered after parsing.
+ * @param {string|string[]|Function} spec
+ */
+export function item_filter(spec) {
+    const filter = compile_filter(spec);
+    if (filter == null)
+        return () => true;
+    if (filter.fn)
+        return filter.fn;
+    return item => {
+        const strings = [], index = new Map(), keys = [], vals = [];
+        const sid = s => {
+            let i = index.get(s);
+            if (i === undefined) {
+                index.set(s, i = strings.length);
+                strings.push(s);
+            }
+            return i;
+        };
+        for (const key in item.tags) {
+            keys.push(sid(key));
+            vals.push(sid(item.tags[key]));
+        }
+        return bind_filter(filter, strings)(item.type, item.id, keys, vals, 0, 0, keys.length, 1);
+    };
+}
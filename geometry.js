@@ -0,0 +1,388 @@
+import { openSync, readSync, writeSync, closeSync, unlinkSync } from 'node:fs';
+import { safe_number } from './idset.js';
+
+const PAGE = 1 << 16;      // ids per page of DenseLocationStore and FileLocationStore
+
+/*
+ * The stores take number or BigInt ids, the latter are converted into numbers.
+ * Node locations are kept as pairs of uint32 numbers: latitude and longitude
+ * in 1e-7 degrees plus 2^31, so that 0 means "no location".
+ */
+const BIAS = 0x80000000;
+
+function encode(deg) {
+    return Math.round(deg * 1e7) + BIAS;
+}
+
+function decode(lat, lon) {
+    return { lat: (lat - BIAS) / 1e7, lon: (lon - BIAS) / 1e7 };
+}
+
+/**
+ * Location store for dense id ranges: pages of typed arrays indexed by id,
+ * 8 bytes per id in the pages touched.
+ */
+export class DenseLocationStore {
+    constructor() {
+        /** @type {Map<number, Uint32Array>} */
+        this.pages = new Map();
+    }
+
+    set(id, lat, lon) {
+        id = safe_number(id);
+        const p = Math.floor(id / PAGE), i = 2 * (id - p * PAGE);
+        let page = this.pages.get(p);
+        if (page === undefined)
+            this.pages.set(p, page = new Uint32Array(2 * PAGE));
+        page[i] = encode(lat);
+        page[i + 1] = encode(lon);
+    }
+
+    /** Returns {lat, lon} or undefined */
+    get(id) {
+        id = safe_number(id);
+        const p = Math.floor(id / PAGE), i = 2 * (id - p * PAGE);
+        const page = this.pages.get(p);
+        if (page === undefined || page[i] == 0)
+            return undefined;
+        return decode(page[i], page[i + 1]);
+    }
+
+    close() {
+        this.pages.clear();
+    }
+}
+
+/**
+ * Location store for small extracts: sorted arrays of ids and locations
+ * with binary search, 16 bytes per node. Works best when the nodes
+ * are added in the order of ids, as they are in osm.pbf files.
+ */
+export class SparseLocationStore {
+    constructor() {
+        this.ids = new Float64Array(1024);
+        this.locs = new Uint32Array(2048);
+        this.length = 0;
+        this.sorted = true;
+    }
+
+    set(id, lat, lon) {
+        id = safe_number(id);
+        if (this.length == this.ids.length) {
+            const ids = new Float64Array(2 * this.length);
+            ids.set(this.ids);
+            this.ids = ids;
+            const locs = new Uint32Array(4 * this.length);
+            locs.set(this.locs);
+            this.locs = locs;
+        }
+        if (this.length > 0 && id <= this.ids[this.length - 1])
+            this.sorted = false;
+        this.ids[this.length] = id;
+        this.locs[2 * this.length] = encode(lat);
+        this.locs[2 * this.length + 1] = encode(lon);
+        this.length++;
+    }
+
+    get(id) {
+        id = safe_number(id);
+        if (!this.sorted)
+            this.sort();
+        const ids = this.ids;
+        let lo = 0, hi = this.length - 1;
+        while (lo <= hi) {
+            const mid = (lo + hi) >>> 1;
+            if (ids[mid] < id)
+                lo = mid + 1;
+            else if (ids[mid] > id)
+                hi = mid - 1;
+            else
+                return decode(this.locs[2 * mid], this.locs[2 * mid + 1]);
+        }
+        return undefined;
+    }
+
+    /** Sorts by id, the last location wins for duplicate ids */
+    sort() {
+        const n = this.length;
+        const order = Array.from({ length: n }, (v, i) => i)
+            .sort((a, b) => this.ids[a] - this.ids[b] || a - b);
+        const ids = new Float64Array(this.ids.length);
+        const locs = new Uint32Array(this.locs.length);
+        let k = 0;
+        for (let j = 0; j < n; j++) {
+            const i = order[j];
+            if (k > 0 && ids[k - 1] == this.ids[i])
+                k--;
+            ids[k] = this.ids[i];
+            locs[2 * k] = this.locs[2 * i];
+            locs[2 * k + 1] = this.locs[2 * i + 1];
+            k++;
+        }
+        this.ids = ids;
+        this.locs = locs;
+        this.length = k;
+        this.sorted = true;
+    }
+
+    close() {
+        this.length = 0;
+    }
+}
+
+/**
+ * Location store backed by a (sparse) file indexed by id, 8 bytes per id,
+ * for the planet and other files too big for memory. The recently used
+ * pages are cached. Negative ids are kept in memory.
+ */
+export class FileLocationStore {
+    /**
+     * @param {string} path the file, created or truncated
+     * @param {{cachePages?: number, keep?: boolean}} opts
+     * cachePages - number of 512 KB pages to cache, 256 by default,
+     * keep - whether to keep the file after close()
+     */
+    constructor(path, opts = {}) {
+        this.path = path;
+        this.fd = openSync(path, 'w+');
+        this.cachePages = opts.cachePages ?? 256;
+        this.keep = opts.keep ?? false;
+        /** @type {Map<number, {data: Uint32Array, dirty: boolean}>} */
+        this.cache = new Map();    // in LRU order
+        this.negative = new SparseLocationStore();
+    }
+
+    page(p) {
+        let page = this.cache.get(p);
+        if (page !== undefined) {
+            this.cache.delete(p);
+            this.cache.set(p, page);
+            return page;
+        }
+        if (this.cache.size >= this.cachePages) {
+            const [q, old] = this.cache.entries().next().value;
+            this.cache.delete(q);
+            this.flush(q, old);
+        }
+        page = { data: new Uint32Array(2 * PAGE), dirty: false };
+        const buf = Buffer.from(page.data.buffer);
+        readSync(this.fd, buf, 0, buf.length, p * buf.length);
+        this.cache.set(p, page);
+        return page;
+    }
+
+    flush(p, page) {
+        if (page.dirty) {
+            const buf = Buffer.from(page.data.buffer);
+            writeSync(this.fd, buf, 0, buf.length, p * buf.length);
+            page.dirty = false;
+        }
+    }
+
+    set(id, lat, lon) {
+        id = safe_number(id);
+        if (id < 0)
+            return this.negative.set(id, lat, lon);
+        const p = Math.floor(id / PAGE), i = 2 * (id - p * PAGE);
+        const page = this.page(p);
+        page.data[i] = encode(lat);
+        page.data[i + 1] = encode(lon);
+        page.dirty = true;
+    }
+
+    get(id) {
+        id = safe_number(id);
+        if (id < 0)
+            return this.negative.get(id);
+        const p = Math.floor(id / PAGE), i = 2 * (id - p * PAGE);
+        const data = this.page(p).data;
+        return data[i] == 0 ? undefined : decode(data[i], data[i + 1]);
+    }
+
+    close() {
+        if (this.fd == null)
+            return;
+        if (this.keep) {
+            for (const [p, page] of this.cache)
+                this.flush(p, page);
+        }
+        this.cache.clear();
+        closeSync(this.fd);
+        this.fd = null;
+        if (!this.keep)
+            unlinkSync(this.path);
+    }
+}
+
+/**
+ * Tags making a closed way an area. The value for a key is either true
+ * (any value but 'no'), or an array of the values, or {except: [values]}.
+ * The tag area=yes/no always takes precedence.
+ */
+export const areaTags = {
+    aeroway: { except: ['taxiway', 'runway', 'parking_position'] },
+    amenity: true,
+    'area:highway': true,
+    boundary: ['national_park', 'protected_area'],
+    building: true,
+    'building:part': true,
+    craft: true,
+    golf: true,
+    highway: ['services', 'rest_area', 'platform', 'pedestrian'],
+    historic: true,
+    landuse: true,
+    leisure: { except: ['track', 'slipway'] },
+    man_made: { except: ['cutline', 'embankment', 'pipeline', 'breakwater', 'groyne',
+        'pier', 'dyke'] },
+    military: true,
+    natural: { except: ['coastline', 'cliff', 'ridge', 'arete', 'tree_row', 'valley',
+        'gorge', 'earth_bank'] },
+    office: true,
+    place: true,
+    power: ['plant', 'substation', 'generator', 'transformer'],
+    public_transport: ['platform', 'station'],
+    railway: ['platform', 'station', 'turntable'],
+    shop: true,
+    tourism: true,
+    water: true,
+    waterway: ['riverbank', 'dock', 'boatyard', 'dam']
+};
+
+/** Checks whether a closed way with these tags is an area */
+export function isArea(tags, rules = areaTags) {
+    if (!tags)
+        return false;
+    if (tags.area == 'yes')
+        return true;
+    if (tags.area == 'no')
+        return false;
+    for (const key in tags) {
+        const rule = rules[key], val = tags[key];
+        if (rule === undefined || val == 'no')
+            continue;
+        if (rule === true
+            || (Array.isArray(rule) && rule.includes(val))
+            || (rule.except && !rule.except.includes(val)))
+            return true;
+    }
+    return false;
+}
+
+/** Returns a location store for the `locations` option */
+export function location_store(locations) {
+    if (locations == 'dense')
+        return new DenseLocationStore();
+    if (locations == 'sparse' || locations === true)
+        return new SparseLocationStore();
+    if (typeof locations?.get == 'function' && typeof locations?.set == 'function')
+        return locations;
+    throw new Error('wrong locations option');
+}
+
+/**
+ * Keeps the locations of the nodes in the store and adds
+ * the arrays lat and lon to the ways, like those of LocationsOnWays.
+ * If some nodes of a way are missing, opts.missingNodes tells what to do:
+ * 'keep' - yield the way without lat and lon (the default),
+ * 'partial' - yield the way with NaN for the missing locations,
+ * 'drop' - skip the way, 'error' - throw.
+ * @param {AsyncIterable<object>} items
+ * @param {{locations?: object, missingNodes?: string}} opts
+ */
+export async function* withLocations(items, opts = {}) {
+    const store = location_store(opts.locations ?? 'sparse');
+    const missing = opts.missingNodes ?? 'keep';
+    if (!['keep', 'partial', 'drop', 'error'].includes(missing))
+        throw new Error(`wrong missingNodes option ${missing}`);
+    for await (const item of items) {
+        if (item.type == 'node')
+            store.set(item.id, item.lat, item.lon);
+        else if (item.type == 'way' && !item.lat) {
+            const n = item.refs.length;
+            const lat = Array(n), lon = Array(n);
+            let found = 0;
+            for (let i = 0; i < n; i++) {
+                const loc = store.get(item.refs[i]);
+                if (loc !== undefined) {
+                    lat[i] = loc.lat;
+                    lon[i] = loc.lon;
+                    found++;
+                } else
+                    lat[i] = lon[i] = NaN;
+            }
+            if (found < n) {
+                if (missing == 'error')
+                    throw new Error(`way ${item.id} refers to missing nodes`);
+                if (missing == 'drop')
+                    continue;
+                if (missing == 'keep') {
+                    yield item;
+                    continue;
+                }
+            }
+            item.lat = lat;
+            item.lon = lon;
+        }
+        yield item;
+    }
+}
+
+/**
+ * Converts a node, way or relation into a GeoJSON Feature.
+ * Ways without the lat and lon arrays and relations have null geometry.
+ * @param {object} item
+ * @param {object} rules area tags, see areaTags
+ */
+export function toFeature(item, rules = areaTags) {
+    const properties = { '@type': item.type, '@id': item.id };
+    if (item.tags)
+        Object.assign(properties, item.tags);
+    if (item.info) {
+        for (const key in item.info)
+            properties['@' + key] = item.info[key];
+    }
+    let geometry = null;
+    if (item.type == 'node')
+        geometry = { type: 'Point', coordinates: [item.lon, item.lat] };
+    else if (item.type == 'way' && item.lat) {
+        const coords = [];
+        for (let i = 0; i < item.lat.length; i++) {
+            if (!Number.isNaN(item.lat[i]))
+                coords.push([item.lon[i], item.lat[i]]);
+        }
+        const refs = item.refs;
+        const closed = refs.length >= 4 && refs[0] == refs[refs.length - 1];
+        if (closed && coords.length == refs.length && isArea(item.tags, rules)) {
+            if (ring_area(coords) < 0)    // exterior rings are counterclockwise
+                coords.reverse();
+            geometry = { type: 'Polygon', coordinates: [coords] };
+        }
+        else if (coords.length >= 2)
+            geometry = { type: 'LineString', coordinates: coords };
+    }
+    return {
+        type: 'Feature',
+        id: `${item.type}/${item.id}`,
+        properties: properties,
+        geometry: geometry
+    };
+}
+
+/** Signed area of a ring of [lon, lat], positive if counterclockwise */
+export function ring_area(coords) {
+    let area = 0;
+    for (let i = 0, j = coords.length - 1; i < coords.length; j = i++)
+        area += (coords[j][0] - coords[i][0]) * (coords[j][1] + coords[i][1]);
+    return area / 2;
+}
+
+/** Ray casting, the ring of [lon, lat] may be closed or not */
+export function point_in_ring(coords, x, y) {
+    let inside = false;
+    for (let i = 0, j = coords.length - 1; i < coords.length; j = i++) {
+        const [xi, yi] = coords[i], [xj, yj] = coords[j];
+        if ((yi > y) != (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi)
+            inside = !inside;
+    }
+    return inside;
+}
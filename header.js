@@ -0,0 +1,72 @@
+/** Required features the parser understands */
+export const supportedFeatures = ['OsmSchema-V0.6', 'DenseNodes'];
+
+/**
+ * Throws if the header requires features not supported by the parser.
+ * @param {object} header HeaderBlock as read from the file
+ * @param {boolean|string[]} accept true to accept any features,
+ * or the list of features to accept in addition to supportedFeatures
+ */
+export function check_features(header, accept = false) {
+    if (accept === true)
+        return;
+    const unknown = header.required_features.filter(f =>
+        !supportedFeatures.includes(f) && !(Array.isArray(accept) && accept.includes(f)));
+    if (unknown.length > 0) {
+        throw new Error(`the file requires unsupported features: ${unknown.join(', ')}`
+            + ' (see the option acceptFeatures)');
+    }
+}
+
+/**
+ * Converts HeaderBlock into a more convenient form: bbox in degrees,
+ * replication timestamp as Date, optional features as booleans.
+ * @param {object} header HeaderBlock as read from the file
+ */
+export function normalizeHeader(header) {
+    const deg = nano => nano / 1e9;
+    const optional = header.optional_features ?? [];
+    return {
+        bbox: header.bbox ? {
+            left: deg(header.bbox.left), bottom: deg(header.bbox.bottom),
+            right: deg(header.bbox.right), top: deg(header.bbox.top)
+        } : null,
+        requiredFeatures: header.required_features ?? [],
+        optionalFeatures: optional,
+        writingProgram: header.writingprogram || null,
+        source: header.source || null,
+        replicationTimestamp: header.osmosis_replication_timestamp
+            ? new Date(header.osmosis_replication_timestamp * 1000) : null,
+        replicationSequenceNumber: header.osmosis_replication_sequence_number || null,
+        replicationBaseUrl: header.osmosis_replication_base_url || null,
+        sorted: optional.includes('Sort.Type_then_ID'),
+        locationsOnWays: optional.includes('LocationsOnWays'),
+        historical: (header.required_features ?? []).includes('HistoricalInformation')
+    };
+}
+
+/** Checks whether the header is made by normalizeHeader */
+export function is_normalized(header) {
+    return header.requiredFeatures !== undefined;
+}
+
+/** Converts a normalized header back into HeaderBlock */
+export function raw_header(header) {
+    if (!is_normalized(header))
+        return header;
+    const nano = deg => Math.round(deg * 1e9);
+    return {
+        bbox: header.bbox ? {
+            left: nano(header.bbox.left), right: nano(header.bbox.right),
+            top: nano(header.bbox.top), bottom: nano(header.bbox.bottom)
+        } : null,
+        required_features: header.requiredFeatures,
+        optional_features: header.optionalFeatures,
+        writingprogram: header.writingProgram ?? '',
+        source: header.source ?? '',
+        osmosis_replication_timestamp: header.replicationTimestamp
+            ? Math.floor(header.replicationTimestamp.getTime() / 1000) : 0,
+        osmosis_replication_sequence_number: header.replicationSequenceNumber ?? 0,
+        osmosis_replication_base_url: header.replicationBaseUrl ?? ''
+    };
+}
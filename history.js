@@ -0,0 +1,106 @@
+import { is_normalized } from './header.js';
+
+/*
+ * Processing of full-history files, where every entity comes in all its
+ * versions, sorted by type, id and version, and the deleted versions
+ * have info.visible == false. Parse them with the option history: true.
+ */
+
+function time(date) {
+    const t = date instanceof Date ? date.getTime() : new Date(date).getTime();
+    if (Number.isNaN(t))
+        throw new Error(`wrong date ${date}`);
+    return t;
+}
+
+function timestamp(item) {
+    const t = item.info?.timestamp;
+    if (t === undefined)
+        throw new Error(`${item.type} ${item.id} has no timestamp, parse with history: true`);
+    return t;
+}
+
+/**
+ * Groups consecutive versions of the same entity,
+ * yields the header as is and {type, id, versions: [...]} for the entities.
+ * @param {AsyncIterable<object>} items
+ */
+export async function* groupVersions(items) {
+    let group = null;
+    for await (const item of items) {
+        if (item.type === undefined) {
+            yield item;
+            continue;
+        }
+        if (group && group.type == item.type && group.id == item.id) {
+            group.versions.push(item);
+            continue;
+        }
+        if (group)
+            yield group;
+        group = { type: item.type, id: item.id, versions: [item] };
+    }
+    if (group)
+        yield group;
+}
+
+/**
+ * Yields the state of the map at the given time: the last version
+ * of every entity made not later than that, unless it is deleted.
+ * The header loses HistoricalInformation.
+ * @param {AsyncIterable<object>} items
+ * @param {Date|string|number} date
+ */
+export async function* snapshot(items, date) {
+    const t = time(date);
+    for await (const group of groupVersions(items)) {
+        if (group.type === undefined) {
+            yield snapshot_header(group);
+            continue;
+        }
+        let current = null;
+        for (const item of group.versions) {
+            if (timestamp(item) <= t)
+                current = item;
+        }
+        if (current && current.info.visible !== false)
+            yield current;
+    }
+}
+
+/**
+ * Yields the versions which were current at some time in [from, to),
+ * i.e. the versions made in this range plus the ones current at `from`.
+ * The deleted versions are included, the output is a history.
+ * @param {AsyncIterable<object>} items
+ * @param {Date|string|number} from
+ * @param {Date|string|number} to
+ */
+export async function* timeSlice(items, from, to) {
+    const t0 = time(from), t1 = time(to);
+    for await (const group of groupVersions(items)) {
+        if (group.type === undefined) {
+            yield group;
+            continue;
+        }
+        const versions = group.versions;
+        for (let i = 0; i < versions.length; i++) {
+            const start = timestamp(versions[i]);
+            const end = i + 1 < versions.length ? timestamp(versions[i + 1]) : Infinity;
+            if (start < t1 && end > t0)
+                yield versions[i];
+        }
+    }
+}
+
+function snapshot_header(header) {
+    if (is_normalized(header)) {
+        return Object.assign({}, header, {
+            requiredFeatures: header.requiredFeatures.filter(f => f != 'HistoricalInformation'),
+            historical: false
+        });
+    }
+    return Object.assign({}, header, {
+        required_features: header.required_features.filter(f => f != 'HistoricalInformation')
+    });
+}
@@ -0,0 +1,87 @@
+const CHUNK = 1 << 16;   // ids per chunk
+
+/**
+ * Converts a BigInt id (as read with ids: 'bigint') into a number,
+ * throws if it is out of the safe integer range
+ */
+export function safe_number(id) {
+    if (typeof id != 'bigint')
+        return id;
+    const n = Number(id);
+    if (!Number.isSafeInteger(n))
+        throw new Error(`id ${id} is out of the safe integer range`);
+    return n;
+}
+
+/**
+ * Set of integer ids kept as a bitmap split into chunks.
+ * Uses much less memory than Set for dense ids and is not limited
+ * to 2^24 elements. BigInt ids are converted into numbers, those
+ * out of the safe integer range are kept in a plain Set.
+ */
+export class IdSet {
+    constructor() {
+        /** @type {Map<number, Uint32Array>} */
+        this.chunks = new Map();
+        /** @type {Set<bigint>} */
+        this.big = new Set();
+        this.size = 0;
+    }
+
+    /** Adds the id, returns false if it was already there */
+    add(id) {
+        if (typeof id == 'bigint') {
+            if (!Number.isSafeInteger(Number(id))) {
+                if (this.big.has(id))
+                    return false;
+                this.big.add(id);
+                this.size++;
+                return true;
+            }
+            id = Number(id);
+        }
+        const c = Math.floor(id / CHUNK), i = id - c * CHUNK;
+        let bits = this.chunks.get(c);
+        if (bits === undefined)
+            this.chunks.set(c, bits = new Uint32Array(CHUNK / 32));
+        const mask = 1 << (i & 31);
+        if (bits[i >>> 5] & mask)
+            return false;
+        bits[i >>> 5] |= mask;
+        this.size++;
+        return true;
+    }
+
+    has(id) {
+        if (typeof id == 'bigint') {
+            if (!Number.isSafeInteger(Number(id)))
+                return this.big.has(id);
+            id = Number(id);
+        }
+        const c = Math.floor(id / CHUNK);
+        const bits = this.chunks.get(c);
+        if (bits === undefined)
+            return false;
+        const i = id - c * CHUNK;
+        return (bits[i >>> 5] & (1 << (i & 31))) != 0;
+    }
+
+    /** Yields the ids in ascending order, numbers unless out of the safe range */
+    *[Symbol.iterator]() {
+        const big = [...this.big].sort((a, b) => a < b ? -1 : 1);
+        yield* big.filter(id => id < 0n);
+        const keys = [...this.chunks.keys()].sort((a, b) => a - b);
+        for (const c of keys) {
+            const bits = this.chunks.get(c);
+            for (let w = 0; w < bits.length; w++) {
+                if (bits[w] == 0)
+                    continue;
+                for (let b = 0; b < 32; b++) {
+                    if (bits[w] & (1 << b))
+                        yield c * CHUNK + w * 32 + b;
+                }
+            }
+        }
+        yield* big.filter(id => id > 0n);
+    }
+}
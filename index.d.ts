@@ -5,17 +5,351 @@ declare module 'osm-pbf-parser-node' {
     type WithTags = boolean | string[];
 
     export interface OSMOptions {
-        withTags?: boolean | {node?: WithTags, way?: WithTags, relation?: WithTags},
+        withTags?: boolean | {node?: WithTags, way?: WithTags, relation?: WithTags,
+            changeset?: WithTags},
         withInfo?: boolean,
-        writeRaw?: boolean
+        writeRaw?: boolean,
+        workers?: number,
+        locations?: 'sparse' | 'dense' | LocationStore,
+        missingNodes?: 'keep' | 'partial' | 'drop' | 'error',
+        geojson?: boolean,
+        areaTags?: AreaTags,
+        format?: 'pbf' | 'xml',
+        filter?: string | string[] | ((item: object) => boolean),
+        types?: Array<'node' | 'way' | 'relation' | 'changeset'>,
+        columnar?: boolean,
+        ids?: 'number' | 'bigint',
+        header?: 'raw' | 'normalized',
+        acceptFeatures?: boolean | string[],
+        history?: boolean,
+        onError?: 'throw' | 'skip-block' | ((err: OSMParseError) => void),
+        startOffset?: number,
+        progressInterval?: number,
+        totalSize?: number,
+        onProgress?: (stats: OSMStats) => void
     };
 
+    export interface OSMStats {
+        bytes: number,
+        totalSize: number | null,
+        blocks: number,
+        skippedBlocks: number,
+        nodes: number,
+        ways: number,
+        relations: number,
+        changesets: number,
+        inflateTime: number,
+        decodeTime: number,
+        elapsed: number,
+        throughput: number,
+        eta: number | null
+    }
+
+    export class OSMParseError extends Error {
+        reason: string;
+        stage: 'header' | 'inflate' | 'decode' | 'arrays' | 'truncated';
+        blob: number | null;
+        offset: number | null;
+        blockType: 'OSMHeader' | 'OSMData' | null;
+        skipped: number | null;
+    }
+
+    export interface NormalizedHeader {
+        bbox: {left: number, bottom: number, right: number, top: number} | null,
+        requiredFeatures: string[],
+        optionalFeatures: string[],
+        writingProgram: string | null,
+        source: string | null,
+        replicationTimestamp: Date | null,
+        replicationSequenceNumber: number | null,
+        replicationBaseUrl: string | null,
+        sorted: boolean,
+        locationsOnWays: boolean,
+        historical: boolean
+    };
+
+    export const supportedFeatures: string[];
+
+    export function normalizeHeader(header: object): NormalizedHeader;
+
+    export interface EntityRange {
+        count: number,
+        minId: number | bigint | null,
+        maxId: number | bigint | null
+    }
+
+    export interface Bbox {
+        left: number,
+        bottom: number,
+        right: number,
+        top: number
+    }
+
+    export interface FileInfo {
+        size: number,
+        blobs: number,
+        blobTypes: {[type: string]: number},
+        compression: {[kind: string]: number},
+        header: NormalizedHeader | null,
+        entities: {node: EntityRange, way: EntityRange, relation: EntityRange,
+            changeset: EntityRange},
+        headerBbox: Bbox | null,
+        /** the following are null in the fast mode */
+        bbox: Bbox | null,
+        bboxInHeader: boolean | null,
+        timestamps: {min: Date, max: Date} | null,
+        metadata: {version: boolean, timestamp: boolean, changeset: boolean,
+            user: boolean} | null,
+        topKeys: {key: string, count: number}[] | null
+    }
+
+    export function inspect(file: string,
+        opts?: {fast?: boolean, topKeys?: number, ids?: 'number' | 'bigint'}): Promise<FileInfo>;
+
+    /** Nodes of a PrimitiveGroup in the columnar output mode */
+    export interface ColumnarNodes {
+        type: 'nodes',
+        count: number,
+        strings: string[],
+        id: Float64Array | BigInt64Array,
+        lat: Float64Array,
+        lon: Float64Array,
+        tagOffsets?: Uint32Array,
+        tagKeys?: Uint32Array,
+        tagVals?: Uint32Array,
+        info?: {
+            version: Int32Array,
+            timestamp: Float64Array,
+            changeset: Float64Array | BigInt64Array,
+            uid: Int32Array,
+            user: Uint32Array,
+            visible: Uint8Array
+        }
+    };
+
+    export interface LocationStore {
+        set(id: number | bigint, lat: number, lon: number): void;
+        get(id: number | bigint): {lat: number, lon: number} | undefined;
+        close(): void;
+    }
+
+    export class DenseLocationStore implements LocationStore {
+        set(id: number | bigint, lat: number, lon: number): void;
+        get(id: number | bigint): {lat: number, lon: number} | undefined;
+        close(): void;
+    }
+
+    export class SparseLocationStore implements LocationStore {
+        set(id: number | bigint, lat: number, lon: number): void;
+        get(id: number | bigint): {lat: number, lon: number} | undefined;
+        close(): void;
+    }
+
+    export class FileLocationStore implements LocationStore {
+        constructor(path: string, opts?: {cachePages?: number, keep?: boolean});
+        set(id: number | bigint, lat: number, lon: number): void;
+        get(id: number | bigint): {lat: number, lon: number} | undefined;
+        close(): void;
+    }
+
+    export type AreaTags = Record<string, boolean | string[] | {except: string[]}>;
+
+    export const areaTags: AreaTags;
+
+    export function isArea(tags: Record<string, string> | undefined, rules?: AreaTags): boolean;
+
+    export function withLocations(items: AsyncIterable<object>, opts?: OSMOptions):
+        AsyncGenerator<object, void, unknown>;
+
+    export function toFeature(item: object, rules?: AreaTags): object;
+
+    export class MultipolygonAssembler {
+        constructor(opts?: {types?: string[], locations?: 'sparse' | 'dense' | LocationStore,
+            workers?: number}, osmopts?: OSMOptions);
+        failed: Array<{id: number, reason: string}>;
+        assemble(file: string): AsyncGenerator<object, void, unknown>;
+    }
+
     export class OSMTransform extends Transform {
         constructor(osmopts?: OSMOptions, opts?: TransformOptions);
+        stats: OSMStats;
+    }
+
+    /** Changeset from XML, from osm.pbf only type and id */
+    export interface Changeset {
+        type: 'changeset',
+        id: number | bigint,
+        createdAt?: number,
+        closedAt?: number,
+        open?: boolean,
+        user?: string,
+        uid?: number,
+        bbox?: {left: number, bottom: number, right: number, top: number},
+        numChanges?: number,
+        commentsCount?: number,
+        tags?: {[key: string]: string},
+        discussion?: Array<{date: number, uid: number, user: string, text: string}>
+    }
+
+    export class OSMXmlTransform extends Transform {
+        constructor(osmopts?: OSMOptions, opts?: TransformOptions);
+    }
+
+    export interface Change {
+        action: 'create' | 'modify' | 'delete',
+        item: object
+    };
+
+    export class OSMChangeTransform extends Transform {
+        constructor(osmopts?: OSMOptions, opts?: TransformOptions);
+    }
+
+    export function readChanges(file: string, osmopts?: OSMOptions):
+        AsyncGenerator<Change, void, unknown>;
+
+    export function applyChanges(items: AsyncIterable<object>,
+        changes: AsyncIterable<Change> | Iterable<Change>): AsyncGenerator<object, void, unknown>;
+
+    export interface VersionGroup {
+        type: 'node' | 'way' | 'relation',
+        id: number | bigint,
+        versions: object[]
+    }
+
+    export function groupVersions(items: AsyncIterable<object>):
+        AsyncGenerator<object | VersionGroup, void, unknown>;
+
+    export function snapshot(items: AsyncIterable<object>,
+        date: Date | string | number): AsyncGenerator<object, void, unknown>;
+
+    export function timeSlice(items: AsyncIterable<object>, from: Date | string | number,
+        to: Date | string | number): AsyncGenerator<object, void, unknown>;
+
+    export function mergeStreams(sources: AsyncIterable<object>[],
+        opts?: {prefer?: 'version' | 'first'}): AsyncGenerator<object, void, unknown>;
+
+    export interface ValidationIssue {
+        count: number,
+        /** the number of missing ids, for missingNodes and missingMembers */
+        refs?: number,
+        /** ids like 'way/123' */
+        sample: string[]
+    }
+
+    export interface ValidationReport {
+        ok: boolean,
+        /** if the header claims Sort.Type_then_ID */
+        sorted: boolean,
+        entities: {node: number, way: number, relation: number, changeset: number},
+        issues: {
+            missingNodes: ValidationIssue,
+            missingMembers: ValidationIssue,
+            duplicateIds: ValidationIssue,
+            unsorted: ValidationIssue,
+            shortWays: ValidationIssue,
+            badCoordinates: ValidationIssue
+        }
+    }
+
+    export function validate(items: AsyncIterable<object>,
+        opts?: {sampleSize?: number}): Promise<ValidationReport>;
+
+    export interface ReplicationState {
+        sequenceNumber: number,
+        timestamp: Date,
+        [key: string]: any
+    }
+
+    export function parseState(text: string): ReplicationState;
+
+    export function sequencePath(sequenceNumber: number): string;
+
+    export class ReplicationClient {
+        constructor(source?: string | null, osmopts?: OSMOptions);
+        state(sequenceNumber?: number): Promise<ReplicationState | null>;
+        sequenceAt(date: Date | string | number): Promise<number>;
+        missing(header: object | string): Promise<number[]>;
+        download(sequenceNumber: number): Promise<Buffer>;
+        changes(sequenceNumber: number): AsyncGenerator<Change, void, unknown>;
     }
 
     export function* createOSMStream(file: string, opts?: OSMOptions):
 	    AsyncGenerator<object, void, unknown>;
 
     export function parse(osmdata: Buffer, transform: OSMTransform|OSMOptions): Array<object>;
+
+    /** Compressed OSMData block pushed by OSMTransform in the writeRaw mode */
+    export interface RawBlock {
+        compression: 'raw' | 'zlib_data' | 'lzma_data' | 'lz4_data' | 'zstd_data' | string,
+        data: Buffer,
+        raw_size: number
+    };
+
+    export type Decompressor = (data: Buffer, raw_size: number) => Buffer;
+
+    export const decompressors: Record<string, Decompressor>;
+
+    export function decompress(raw: RawBlock): Buffer;
+
+    export interface BlobEntry {
+        offset: number,
+        length: number,
+        type: 'OSMHeader' | 'OSMData',
+        compression?: string,
+        entity?: 'node' | 'way' | 'relation' | 'mixed' | null,
+        min_id?: number | null,
+        max_id?: number | null,
+        count?: number
+    };
+
+    export interface BlobQuery {
+        type?: 'node' | 'way' | 'relation',
+        from?: number,
+        to?: number
+    };
+
+    export class BlobIndex {
+        file: string;
+        blobs: BlobEntry[];
+        static create(file: string, opts?: {ids?: boolean}): Promise<BlobIndex>;
+        static load(file: string, path?: string): Promise<BlobIndex>;
+        save(path?: string): Promise<void>;
+        find(query?: BlobQuery): BlobEntry[];
+        read(query?: BlobQuery, osmopts?: OSMOptions): AsyncGenerator<object, void, unknown>;
+    }
+
+    export class IdSet {
+        size: number;
+        add(id: number | bigint): boolean;
+        has(id: number | bigint): boolean;
+        [Symbol.iterator](): Iterator<number | bigint>;
+    }
+
+    export interface Polygon {
+        name: string,
+        rings: Array<{name: string, hole: boolean, points: Array<[number, number]>}>
+    };
+
+    export interface ExtractArea {
+        bbox?: [number, number, number, number],
+        poly?: string,
+        polygon?: Polygon
+    };
+
+    export function extract(file: string, area: ExtractArea, osmopts?: OSMOptions):
+        AsyncGenerator<object, void, unknown>;
+
+    export function parsePoly(text: string): Polygon;
+
+    export interface OSMWriterOptions {
+        blockSize?: number,
+        compression?: 'zlib' | 'none',
+        compressionLevel?: number,
+        withInfo?: boolean,
+        writingprogram?: string
+    };
+
+    export class OSMWriter extends Transform {
+        constructor(osmopts?: OSMWriterOptions, opts?: TransformOptions);
+    }
 }
@@ -0,0 +1,115 @@
+import { open } from 'node:fs/promises';
+import Pbf from 'pbf';
+import { HeaderBlock } from './proto/osmformat.js';
+import { decompress } from './decompress.js';
+import { osm_options, parse_data, raw_block } from './parser.js';
+import { read_header, read_blob, scan_ids } from './blobindex.js';
+import { normalizeHeader } from './header.js';
+
+/**
+ * Describes an osm.pbf file like osmium fileinfo. Returns
+ * {size, blobs, blobTypes, compression, header, entities, bbox, headerBbox,
+ * bboxInHeader, timestamps, metadata, topKeys}, where entities are
+ * {count, minId, maxId} by type, bboxes in degrees. With fast: true only
+ * the ids are decoded, and bbox, bboxInHeader, timestamps, metadata
+ * and topKeys are null.
+ * @param {string} file
+ * @param {{fast?: boolean, topKeys?: number, ids?: 'number' | 'bigint'}} opts
+ * topKeys is the number of the most frequent tag keys, 10 by default
+ */
+export async function inspect(file, opts = {}) {
+    const fast = opts.fast ?? false;
+    const osmopts = osm_options({ withInfo: true, ids: opts.ids });
+    const result = {
+        size: 0,
+        blobs: 0,
+        blobTypes: {},
+        compression: {},
+        header: null,
+        entities: {}
+    };
+    for (const type of ['node', 'way', 'relation', 'changeset'])
+        result.entities[type] = { count: 0, minId: null, maxId: null };
+    const found = (type, id) => {
+        const entry = result.entities[type];
+        if (entry.count++ == 0)
+            entry.minId = entry.maxId = id;
+        else if (id < entry.minId)
+            entry.minId = id;
+        else if (id > entry.maxId)
+            entry.maxId = id;
+    };
+    let bbox = null, timestamps = null;
+    const metadata = { version: false, timestamp: false, changeset: false, user: false };
+    const keys = new Map();
+
+    const fh = await open(file);
+    try {
+        const size = (await fh.stat()).size;
+        for (let pos = 0; pos < size;) {
+            const [header, hlen] = await read_header(fh, pos);
+            const blob = await read_blob(fh, pos + 4 + hlen, header.datasize);
+            pos += 4 + hlen + header.datasize;
+            const raw = raw_block(blob);
+            result.blobs++;
+            result.blobTypes[header.type] = (result.blobTypes[header.type] ?? 0) + 1;
+            result.compression[raw.compression] = (result.compression[raw.compression] ?? 0) + 1;
+            const buf = decompress(raw);
+            if (header.type == 'OSMHeader') {
+                const block = HeaderBlock.read(new Pbf(buf));
+                osmopts.locationsOnWays = block.optional_features.includes('LocationsOnWays');
+                result.header ??= normalizeHeader(block);
+                continue;
+            }
+            if (fast) {
+                scan_ids(buf, found, osmopts.ids == 'bigint');
+                continue;
+            }
+            for (const item of parse_data(buf, osmopts)) {
+                found(item.type, item.id);
+                if (item.type == 'node') {
+                    if (bbox == null)
+                        bbox = { left: item.lon, bottom: item.lat, right: item.lon, top: item.lat };
+                    bbox.left = Math.min(bbox.left, item.lon);
+                    bbox.bottom = Math.min(bbox.bottom, item.lat);
+                    bbox.right = Math.max(bbox.right, item.lon);
+                    bbox.top = Math.max(bbox.top, item.lat);
+                }
+                const info = item.info ?? {};
+                for (const field in metadata) {
+                    if (info[field] !== undefined)
+                        metadata[field] = true;
+                }
+                if (info.timestamp !== undefined) {
+                    if (timestamps == null)
+                        timestamps = { min: info.timestamp, max: info.timestamp };
+                    timestamps.min = Math.min(timestamps.min, info.timestamp);
+                    timestamps.max = Math.max(timestamps.max, info.timestamp);
+                }
+                for (const key in item.tags)
+                    keys.set(key, (keys.get(key) ?? 0) + 1);
+            }
+        }
+        result.size = size;
+    } finally {
+        await fh.close();
+    }
+    if (fast) {
+        return Object.assign(result, {
+            bbox: null, headerBbox: result.header?.bbox ?? null, bboxInHeader: null,
+            timestamps: null, metadata: null, topKeys: null
+        });
+    }
+    const hb = result.header?.bbox ?? null;
+    return Object.assign(result, {
+        bbox: bbox,
+        headerBbox: hb,
+        // null if there is nothing to compare
+        bboxInHeader: bbox && hb && bbox.left >= hb.left && bbox.right <= hb.right
+            && bbox.bottom >= hb.bottom && bbox.top <= hb.top,
+        timestamps: timestamps && { min: new Date(timestamps.min), max: new Date(timestamps.max) },
+        metadata: metadata,
+        topKeys: [...keys].sort((a, b) => b[1] - a[1]).slice(0, opts.topKeys ?? 10)
+            .map(([key, count]) => ({ key: key, count: count }))
+    });
+}
@@ -0,0 +1,123 @@
+import { is_normalized, normalizeHeader, raw_header } from './header.js';
+import { typeOrder } from './parser.js';
+
+function compare(a, b) {
+    const ta = typeOrder[a.type], tb = typeOrder[b.type];
+    if (ta != tb)
+        return ta - tb;
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/** Yields the items of a stream of items or of arrays of them, like OSMTransform */
+async function* flatten(source) {
+    for await (const chunk of source) {
+        if (Array.isArray(chunk))
+            yield* chunk;
+        else
+            yield chunk;
+    }
+}
+
+/**
+ * Merges several streams of entities sorted by type and id (e.g. overlapping
+ * extracts) into one sorted stream without duplicates. Of the same entity
+ * in several inputs the one with the highest info.version is taken
+ * (the first of them if equal or unknown), or, with prefer: 'first',
+ * the one from the first input. The headers are merged into one,
+ * with the bbox covering all of them.
+ * @param {Array<AsyncIterable<object>>} sources createOSMStream results or OSMTransforms
+ * @param {{prefer?: 'version' | 'first'}} opts
+ */
+export async function* mergeStreams(sources, opts = {}) {
+    const prefer = opts.prefer ?? 'version';
+    if (prefer != 'version' && prefer != 'first')
+        throw new Error(`wrong prefer option ${prefer}`);
+    const inputs = sources.map((source, i) => ({
+        index: i,
+        it: flatten(source)[Symbol.asyncIterator](),
+        item: null,       // the current entity, null at the end
+        headers: []
+    }));
+
+    async function advance(input) {
+        const prev = input.item;
+        for (;;) {
+            const next = await input.it.next();
+            if (next.done) {
+                input.item = null;
+                return;
+            }
+            const item = next.value;
+            if (item.type === undefined) {
+                input.headers.push(item);
+                continue;
+            }
+            if (typeOrder[item.type] === undefined)
+                throw new Error(`cannot merge items of type ${item.type}`);
+            if (prev && compare(prev, item) >= 0)
+                throw new Error(`input ${input.index} is not sorted by type and id at ${item.type} ${item.id}`);
+            input.item = item;
+            return;
+        }
+    }
+
+    try {
+        await Promise.all(inputs.map(advance));
+        const headers = inputs.flatMap(input => input.headers);
+        if (headers.length > 0)
+            yield merge_headers(headers);
+        for (;;) {
+            let min = null;
+            for (const input of inputs) {
+                if (input.item && (min == null || compare(input.item, min.item) < 0))
+                    min = input;
+            }
+            if (min == null)
+                break;
+            const same = inputs.filter(input => input.item && compare(input.item, min.item) == 0);
+            let best = same[0];
+            if (prefer == 'version') {
+                for (const input of same) {
+                    if ((input.item.info?.version ?? -1) > (best.item.info?.version ?? -1))
+                        best = input;
+                }
+            }
+            yield best.item;
+            for (const input of same)
+                await advance(input);
+        }
+    } finally {
+        await Promise.all(inputs.map(input => input.it.return?.()));
+    }
+}
+
+/**
+ * Merges the headers: the bbox covering all bboxes, the required features
+ * of all of them and the optional features common to all, the oldest
+ * replication timestamp. The result is normalized if the first one is.
+ */
+function merge_headers(headers) {
+    const raw = headers.map(raw_header);
+    const result = Object.assign({}, raw[0]);
+    const boxes = raw.map(h => h.bbox).filter(b => b);
+    result.bbox = boxes.length == 0 ? null : {
+        left: Math.min(...boxes.map(b => b.left)),
+        right: Math.max(...boxes.map(b => b.right)),
+        top: Math.max(...boxes.map(b => b.top)),
+        bottom: Math.min(...boxes.map(b => b.bottom))
+    };
+    result.required_features = [...new Set(raw.flatMap(h => h.required_features ?? []))];
+    result.optional_features = (raw[0].optional_features ?? []).filter(f =>
+        raw.every(h => h.optional_features?.includes(f)));
+    if (!result.optional_features.includes('Sort.Type_then_ID'))
+        result.optional_features.push('Sort.Type_then_ID');
+    const times = raw.map(h => h.osmosis_replication_timestamp).filter(t => t);
+    result.osmosis_replication_timestamp = times.length == raw.length ? Math.min(...times) : 0;
+    // the sequence numbers of different sources cannot be compared
+    if (raw.some(h => h.osmosis_replication_sequence_number != result.osmosis_replication_sequence_number
+        || h.osmosis_replication_base_url != result.osmosis_replication_base_url)) {
+        result.osmosis_replication_sequence_number = 0;
+        result.osmosis_replication_base_url = '';
+    }
+    return is_normalized(headers[0]) ? normalizeHeader(result) : result;
+}
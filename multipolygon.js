@@ -0,0 +1,169 @@
+import { createOSMStream, pass_options } from './parser.js';
+import { IdSet } from './idset.js';
+import { ring_area, point_in_ring } from './geometry.js';
+
+/**
+ * Assembles multipolygon and boundary relations into GeoJSON
+ * Polygon or MultiPolygon features. The input file is read twice:
+ * first for the relations, then for the nodes and the member ways.
+ * The relations which could not be assembled are listed in `failed`.
+ */
+export class MultipolygonAssembler {
+    /**
+     * @param {{types?: string[], locations?: string|object, workers?: number}} opts
+     * types - values of the type tag to assemble, multipolygon and boundary by default,
+     * locations - node location store, as in OSMOptions
+     * @param {OSMOptions} osmopts options for reading the file, e.g. acceptFeatures,
+     * those changing the output are ignored
+     */
+    constructor(opts = {}, osmopts = {}) {
+        this.types = opts.types ?? ['multipolygon', 'boundary'];
+        this.locations = opts.locations ?? 'sparse';
+        this.workers = opts.workers ?? osmopts.workers;
+        this.osmopts = osmopts;
+        /** @type {{id: number, reason: string}[]} */
+        this.failed = [];
+    }
+
+    /** Yields the features, fills `failed` */
+    async* assemble(file) {
+        const rels = [];
+        const wanted = new IdSet();
+        const opts1 = pass_options(this.osmopts, {
+            withTags: true, types: ['relation'], workers: this.workers
+        });
+        for await (const item of createOSMStream(file, opts1)) {
+            if (item.type === undefined || !this.types.includes(item.tags?.type))
+                continue;
+            const members = item.members.filter(m => m.type == 'way');
+            for (const m of members)
+                wanted.add(m.ref);
+            rels.push({ id: item.id, tags: item.tags, members: members });
+        }
+
+        const ways = new Map();      // id => {refs, coords}
+        const opts2 = pass_options(this.osmopts, {
+            types: ['node', 'way'], workers: this.workers,
+            locations: this.locations, missingNodes: 'partial'
+        });
+        for await (const item of createOSMStream(file, opts2)) {
+            if (item.type == 'way' && wanted.has(item.id)) {
+                const coords = item.refs.map((ref, i) => [item.lon[i], item.lat[i]]);
+                ways.set(item.id, { refs: item.refs, coords: coords });
+            }
+        }
+
+        for (const rel of rels) {
+            try {
+                yield assemble_relation(rel, ways);
+            } catch (err) {
+                this.failed.push({ id: rel.id, reason: err.message });
+            }
+        }
+    }
+}
+
+function assemble_relation(rel, ways) {
+    const segments = [];
+    for (const m of rel.members) {
+        const way = ways.get(m.ref);
+        if (way === undefined)
+            throw new Error(`missing way ${m.ref}`);
+        if (way.coords.some(([lon]) => Number.isNaN(lon)))
+            throw new Error(`way ${m.ref} has missing nodes`);
+        if (way.refs.length >= 2)
+            segments.push(way);
+    }
+    const rings = build_rings(segments);
+    if (rings.length == 0)
+        throw new Error('no rings');
+
+    // a ring is outer if it is inside an even number of other rings,
+    // no matter what the roles say
+    for (const ring of rings) {
+        ring.parents = rings.filter(other => other !== ring && contains(other, ring));
+        ring.outer = ring.parents.length % 2 == 0;
+    }
+    const polygons = [];
+    for (const ring of rings.filter(r => r.outer)) {
+        if (ring_area(ring.coords) < 0)
+            ring.coords.reverse();
+        ring.polygon = [ring.coords];
+        polygons.push(ring.polygon);
+    }
+    for (const ring of rings.filter(r => !r.outer)) {
+        // the innermost outer ring containing this one
+        const outer = ring.parents.filter(r => r.outer)
+            .reduce((a, b) => a.parents.length > b.parents.length ? a : b);
+        if (ring_area(ring.coords) > 0)
+            ring.coords.reverse();
+        outer.polygon.push(ring.coords);
+    }
+    const properties = Object.assign({ '@type': 'relation', '@id': rel.id }, rel.tags);
+    return {
+        type: 'Feature',
+        id: `relation/${rel.id}`,
+        properties: properties,
+        geometry: polygons.length == 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons }
+    };
+}
+
+/**
+ * Joins the ways into closed rings by their end nodes.
+ * Returns [{refs, coords}], throws if some ring cannot be closed.
+ */
+function build_rings(segments) {
+    const rings = [];
+    const ends = new Map();      // node id => open segments starting or ending there
+    const open = new Set();
+    for (const seg of segments) {
+        const refs = seg.refs;
+        if (refs[0] == refs[refs.length - 1]) {
+            if (refs.length < 4)
+                throw new Error(`degenerate ring ${refs}`);
+            rings.push({ refs: refs.slice(), coords: seg.coords.slice() });
+            continue;
+        }
+        open.add(seg);
+        for (const node of [refs[0], refs[refs.length - 1]]) {
+            if (!ends.has(node))
+                ends.set(node, []);
+            ends.get(node).push(seg);
+        }
+    }
+    while (open.size > 0) {
+        const first = open.values().next().value;
+        open.delete(first);
+        const refs = first.refs.slice(), coords = first.coords.slice();
+        while (refs[0] != refs[refs.length - 1]) {
+            const last = refs[refs.length - 1];
+            const next = ends.get(last).find(seg => open.has(seg));
+            if (next === undefined)
+                throw new Error(`ring not closed at node ${last}`);
+            open.delete(next);
+            const forward = next.refs[0] == last;
+            const nrefs = forward ? next.refs : next.refs.slice().reverse();
+            const ncoords = forward ? next.coords : next.coords.slice().reverse();
+            for (let i = 1; i < nrefs.length; i++) {
+                refs.push(nrefs[i]);
+                coords.push(ncoords[i]);
+            }
+        }
+        if (refs.length < 4)
+            throw new Error(`degenerate ring ${refs}`);
+        rings.push({ refs: refs, coords: coords });
+    }
+    return rings;
+}
+
+/** Checks whether ring b is inside ring a, using a node of b not shared with a */
+function contains(a, b) {
+    const shared = new Set(a.refs);
+    const i = b.refs.findIndex(ref => !shared.has(ref));
+    if (i < 0)
+        return false;
+    const [x, y] = b.coords[i];
+    return point_in_ring(a.coords, x, y);
+}
@@ -0,0 +1,165 @@
+import { Transform } from 'node:stream';
+import { createReadStream } from 'node:fs';
+import { createGunzip } from 'node:zlib';
+import { osm_options, typeOrder } from './parser.js';
+import { XmlTokenizer, xml_entity, xml_child, xml_finish } from './xml.js';
+
+const actions = ['create', 'modify', 'delete'];
+
+/**
+ * Transforms an osmChange document (.osc) into arrays of changes
+ * {action: 'create'|'modify'|'delete', item: object}, where the items
+ * are the same objects as pushed by OSMTransform, in the order of the file.
+ */
+export class OSMChangeTransform extends Transform {
+    constructor(osmopts = { withTags: true, withInfo: true }, opts = {}) {
+        super(Object.assign({}, opts, {
+            writableObjectMode: false,
+            readableObjectMode: true
+        }));
+        this.with = osm_options(Object.assign({ withInfo: true }, osmopts));
+        this.root = false;     // whether <osmChange> is seen
+        this.action = null;    // current section
+        this.item = null;      // entity being read
+        this.batch = [];
+        this.tokenizer = new XmlTokenizer({
+            open: (name, attrs) => this.open(name, attrs),
+            close: name => this.close(name)
+        });
+    }
+
+    _transform(chunk, encoding, next) {
+        try {
+            this.tokenizer.write(chunk);
+        } catch (err) {
+            return next(err);
+        }
+        this.flushBatch();
+        next();
+    }
+
+    _flush(callback) {
+        try {
+            this.tokenizer.end();
+            if (!this.root)
+                throw new Error('no <osmChange> element in the input');
+        } catch (err) {
+            return callback(err);
+        }
+        this.flushBatch();
+        callback();
+    }
+
+    flushBatch() {
+        if (this.batch.length > 0) {
+            this.push(this.batch);
+            this.batch = [];
+        }
+    }
+
+    open(name, attrs) {
+        if (name == 'osmChange')
+            this.root = true;
+        else if (actions.includes(name))
+            this.action = name;
+        else if (typeOrder[name] !== undefined) {
+            if (this.action == null)
+                throw new Error(`<${name} id="${attrs.id}"> outside of create, modify or delete`);
+            this.item = xml_entity(name, attrs, this.with);
+        }
+        else if (this.item)
+            xml_child(this.item, name, attrs, this.with);
+    }
+
+    close(name) {
+        if (this.item && name == this.item.type) {
+            this.batch.push({ action: this.action, item: xml_finish(this.item) });
+            this.item = null;
+        }
+        else if (name == this.action)
+            this.action = null;
+    }
+}
+
+/**
+ * Reads changes from an .osc or .osc.gz file.
+ * @param {string} file
+ * @param {object} osmopts withTags and withInfo, the latter is true by default
+ */
+export async function* readChanges(file, osmopts) {
+    let readable = createReadStream(file);
+    if (file.endsWith('.gz'))
+        readable = readable.pipe(createGunzip());
+    readable = readable.pipe(new OSMChangeTransform(osmopts));
+    for await (const chunk of readable) {
+        for (const change of chunk)
+            yield change;
+    }
+}
+
+/**
+ * Applies changes to a stream of entities sorted by type and id,
+ * e.g. one made by createOSMStream. The created and modified entities
+ * are inserted or replace the old ones, the deleted ones are dropped.
+ * If an entity is changed several times, the last change wins, unless
+ * it has a smaller version than a previous one. The changes with versions
+ * not greater than that of the entity in the input are skipped.
+ * The changes are kept in memory, the entities are not.
+ * @param {AsyncIterable<object>} items
+ * @param {AsyncIterable<object>|Iterable<object>} changes
+ */
+export async function* applyChanges(items, changes) {
+    const pending = Object.keys(typeOrder).map(() => new Map());   // by type: id => change
+    for await (const change of changes) {
+        const { action, item } = change;
+        if (!actions.includes(action))
+            throw new Error(`unknown action ${action}`);
+        const t = typeOrder[item.type];
+        if (t === undefined)
+            throw new Error(`cannot apply change to item of type ${item.type}`);
+        const old = pending[t].get(item.id);
+        if (old && item.info?.version < old.item.info?.version)
+            continue;
+        pending[t].set(item.id, change);
+    }
+    const queues = pending.map(map => [...map.values()].sort((a, b) =>
+        a.item.id < b.item.id ? -1 : a.item.id > b.item.id ? 1 : 0));
+    const pos = pending.map(() => 0);
+
+    // the changes of type t with ids less than id, or all of them
+    function* before(t, id = Infinity) {
+        const queue = queues[t];
+        while (pos[t] < queue.length && queue[pos[t]].item.id < id) {
+            const change = queue[pos[t]++];
+            if (change.action != 'delete')
+                yield change.item;
+        }
+    }
+
+    let type = 0, last = -Infinity;
+    for await (const item of items) {
+        const t = typeOrder[item.type];
+        if (t === undefined) {
+            yield item;      // header
+            continue;
+        }
+        if (t < type || (t == type && item.id <= last))
+            throw new Error(`input is not sorted by type and id at ${item.type} ${item.id}`);
+        for (; type < t; type++, last = -Infinity)
+            yield* before(type);
+        last = item.id;
+        yield* before(t, item.id);
+        const queue = queues[t];
+        if (pos[t] < queue.length && queue[pos[t]].item.id == item.id) {
+            const change = queue[pos[t]++];
+            // an old diff must not roll the entity back
+            if (change.item.info?.version <= item.info?.version)
+                yield item;
+            else if (change.action != 'delete')
+                yield change.item;
+        } else
+            yield item;
+    }
+    for (; type < 3; type++)
+        yield* before(type);
+}
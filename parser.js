@@ -1,17 +1,59 @@
 import { Transform } from 'node:stream';
-import { inflateSync } from 'node:zlib';
 import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
 import Pbf from 'pbf';
 import { Blob as BlobData, BlobHeader } from './proto/fileformat.js';
-import { HeaderBlock, PrimitiveBlock } from './proto/osmformat.js';
+import { HeaderBlock, PrimitiveBlock, PrimitiveGroup } from './proto/osmformat.js';
+import { decompress } from './decompress.js';
+import { WorkerPool } from './worker.js';
+import { withLocations, toFeature } from './geometry.js';
+import { OSMXmlTransform } from './xml.js';
+import { compile_filter, bind_filter } from './filter.js';
+import { read_group_field } from './bigint.js';
+import { check_features, normalizeHeader } from './header.js';
+import { OSMParseError, parse_error } from './errors.js';
 
-const debug = false;     // print some stats
+export { OSMWriter } from './writer.js';
+export { OSMXmlTransform } from './xml.js';
+export { OSMChangeTransform, readChanges, applyChanges } from './osc.js';
+export { decompress, decompressors } from './decompress.js';
+export { BlobIndex } from './blobindex.js';
+export { IdSet } from './idset.js';
+export { extract, parsePoly } from './extract.js';
+export {
+    DenseLocationStore, SparseLocationStore, FileLocationStore,
+    areaTags, isArea, withLocations, toFeature
+} from './geometry.js';
+export { MultipolygonAssembler } from './multipolygon.js';
+export { normalizeHeader, supportedFeatures } from './header.js';
+export { groupVersions, snapshot, timeSlice } from './history.js';
+export { OSMParseError } from './errors.js';
+export { ReplicationClient, parseState, sequencePath } from './replication.js';
+export { mergeStreams } from './merge.js';
+export { validate } from './validate.js';
+export { inspect } from './inspect.js';
 
 const memberTypes = ['node', 'way', 'relation'];
+const entityTypes = [...memberTypes, 'changeset'];
+
+/** Order of the entity types in sorted files */
+export const typeOrder = { node: 0, way: 1, relation: 2, changeset: 3 };
+
+/** PrimitiveGroup fields with entities => index in entityTypes */
+const groupFields = { 1: 0, 2: 0, 3: 1, 4: 2, 5: 3 };
+
+/** Limits from the osm.pbf specification */
+export const maxHeaderSize = 64 * 1024;
+export const maxBlobSize = 32 * 1024 * 1024;
+
+/** BlobHeader starts with these bytes in OSMData blobs */
+const blobMarker = Buffer.concat([Buffer.from([0x0a, 7]), Buffer.from('OSMData')]);
+/** and with these in OSMHeader blobs */
+const headerMarker = Buffer.concat([Buffer.from([0x0a, 9]), Buffer.from('OSMHeader')]);
 
 function assert(cond, message) {
     if (!cond)
-        throw new Error(message || 'input format error');
+        throw new OSMParseError(message || 'input format error');
 }
 
 /** Checks that given arrays are parallel */
@@ -21,13 +63,20 @@ function assertArrays(...args) {
         assert(Array.isArray(arg));
         if (length < 0)
             length = arg.length;
-        else
-            assert(length == arg.length);
+        else if (length != arg.length)
+            throw new OSMParseError('parallel arrays of different lengths', { stage: 'arrays' });
     }
 }
 
+/** Checks that an id (or changeset) read as a number is exact */
+function safe_id(id) {
+    if (!Number.isSafeInteger(id))
+        throw new Error(`${id} is out of the safe integer range, use the option ids: 'bigint'`);
+    return id;
+}
+
 /** Checks that given obj has properties */
-function isEmpty(obj) {
+export function isEmpty(obj) {
     for (let p in obj)
         return false;
     return true;
@@ -39,82 +88,190 @@ export class OSMTransform extends Transform {
             writableObjectMode: false,
             readableObjectMode: true
         }));
-        this.with = {
-            withTags: with_tags(osmopts.withTags ?? true),
-            withInfo: osmopts.withInfo ?? false,
-            writeRaw: osmopts.writeRaw ?? false
-        };
+        this.with = osm_options(osmopts);
+        this.onError = error_option(osmopts.onError);
+        this.startOffset = offset_option(osmopts.startOffset);
         /** @type {Buffer} */
         this.buffer = null;
         this.offset = 0;     // current offset in the buffer
+        this.base = this.startOffset;   // file offset of the buffer
         this.status = 0;     // 0: header length, 1: header,
-        // 2: OSMHeader, 3: OSMData
+        // 2: OSMHeader, 3: OSMData, 4: looking for the next blob
         this.needed = 4;     // number of bytes required in the buffer
-        if (debug) {
-            this.inflate_ns = 0n;   // inflateSync total time
-        }
+        this.blob = -1;      // index of the current blob, counted from startOffset
+        this.blobOffset = 0; // file offset of the current blob
+        this.blobType = null;
+        this.broken = null;  // framing error to report when the next blob is found
+        this.workers = this.with.writeRaw ? 0 : osmopts.workers ?? 0;
+        if (this.workers > 0 && this.with.filter?.fn)
+            throw new Error('filter function cannot be used with workers');
+        this.sorted = false;    // whether the header has Sort.Type_then_ID
+        this.finished = false;  // whether the wanted types are past
+        /** @type {WorkerPool} */
+        this.pool = null;    // created with the first OSMData block
+        this.pending = [];   // promises of blocks being parsed by the pool
+        this.last = Promise.resolve();   // resolves after the last block is pushed
+        this.progressInterval = osmopts.progressInterval ?? 1000;
+        this.onProgress = osmopts.onProgress ?? null;
+        this.startTime = null;      // of the first chunk
+        this.lastProgress = 0;      // time of the last progress event
+        /** Statistics, sent with the progress events and final after the end */
+        this.stats = {
+            bytes: this.startOffset,    // file offset up to which the blobs are done
+            totalSize: osmopts.totalSize ?? null,
+            blocks: 0,
+            skippedBlocks: 0,
+            nodes: 0,
+            ways: 0,
+            relations: 0,
+            changesets: 0,
+            inflateTime: 0,     // ms, summed over the worker threads
+            decodeTime: 0,
+            elapsed: 0,         // ms since the first chunk
+            throughput: 0,      // bytes per second
+            eta: null           // seconds, if totalSize is known
+        };
     }
 
     _transform(chunk, encoding, next) {
+        if (this.finished)
+            return next();     // the rest of the input is not needed
+        this.startTime ??= performance.now();
         if (this.buffer == null)
             this.buffer = chunk;
         else {
+            this.base += this.offset;
             this.buffer = Buffer.concat([this.buffer.subarray(this.offset), chunk]);
             this.offset = 0;
         }
+        try {
+            this.process(next);
+        } catch (err) {
+            next(err);
+        }
+    }
+
+    /** Consumes complete blobs from the buffer, calls next() when more data is needed */
+    process(next) {
+        if (this.destroyed)
+            return;
         const pbf = new Pbf(this.buffer);
-        if (this.status == 0)
-            pbf.length = 0;
-        else
-            pbf.length = this.needed;
+        pbf.pos = this.offset;
+        pbf.length = this.status == 0 ? this.offset : this.offset + this.needed;
 
         // eslint-disable-next-line no-constant-condition
         while (true) {
+            if (this.finished)
+                return next();
             if (this.buffer.length - this.offset < this.needed)
                 return next();       // _transform will be called with the next chunk
 
             if (this.status == 0) {  // expecting int32 with the header length
+                if (this.blob < 0 && this.startOffset > 0) {
+                    // do not trust the length before making sure it is a blob
+                    if (this.buffer.length - this.offset < 4 + headerMarker.length)
+                        return next();
+                    if (!this.atBlobHeader())
+                        throw this.offsetError();
+                }
+                this.blob++;
+                this.blobOffset = this.base + this.offset;
+                this.blobType = null;
                 advance(4);
                 const l = this.buffer.readUInt32BE(this.offset);
                 advance(l);
                 this.offset += this.needed;
                 this.needed = l;     // header of this length follows
                 this.status = 1;
+                if (l == 0 || l > maxHeaderSize) {
+                    this.resync(new OSMParseError(`wrong BlobHeader length ${l}`,
+                        { stage: 'header' }));
+                }
             }
             else if (this.status == 1) {   // expecting BlobHeader
-                const header = BlobHeader.read(pbf);
-                assert(header.type == 'OSMHeader' || header.type == 'OSMData',
-                    'input sequence error');
+                let header;
+                try {
+                    header = BlobHeader.read(pbf);
+                    if (header.type != 'OSMHeader' && header.type != 'OSMData')
+                        throw new Error(`unknown blob type ${header.type}`);
+                    if (header.datasize > maxBlobSize)
+                        throw new Error(`blob size ${header.datasize} exceeds the limit`);
+                } catch (err) {
+                    this.resync(parse_error(err, 'header'));
+                    continue;
+                }
+                this.blobType = header.type;
                 this.offset += this.needed;
                 this.needed = header.datasize;   // data of this length follows
                 advance(header.datasize);
                 this.status = header.type == 'OSMHeader' ? 2 : 3
             }
-            else if (this.status == 2) {   // expecting OSMHeader
-                const blob = BlobData.read(pbf);
-                const buf = blob.zlib_data ? inflateSync(blob.zlib_data) : blob.raw;
-                assert(buf, `inflating ${blob.data} not implemented`);
-                const header = HeaderBlock.read(new Pbf(buf));
-                this.push([header]);
+            else if (this.status == 2 || this.status == 3) {   // expecting OSMHeader or OSMData
+                const where = this.where();
+                const end = this.base + this.offset + this.needed;   // where the next blob starts
+                const type = this.status;
+                let raw = null, error = null;
+                try {
+                    raw = raw_block(BlobData.read(pbf));
+                } catch (err) {
+                    error = err;
+                }
                 this.offset += this.needed;
                 this.needed = 4;   // next header length follows
                 this.status = 0;
-            }
-            else if (this.status == 3) {    // expecting OSMData
-                const blob = BlobData.read(pbf);
-                assert(blob.zlib_data, `inflating ${blob.data} not implemented`);
-                if (this.with.writeRaw)
-                    this.push(blob.zlib_data);
+                if (error) {
+                    this.skip(parse_error(error, 'decode'), where);
+                    continue;
+                }
+                if (type == 2)
+                    this.readHeader(raw, where, end);
+                else if (this.with.writeRaw) {
+                    this.stats.blocks++;
+                    this.pushBlob(raw, where, end);
+                }
+                else if (this.workers > 0) {
+                    this.dispatch(raw, where, end);
+                    if (this.pending.length >= 2 * this.workers) {
+                        // too many blocks in flight, wait for the oldest one
+                        this.pending.shift()
+                            .then(() => this.process(next))
+                            .catch(err => this.destroyed || next(err));
+                        return;
+                    }
+                }
                 else {
-                    const start = process.hrtime.bigint();
-                    const buf = inflateSync(blob.zlib_data);
-                    if (debug)
-                        this.inflate_ns += process.hrtime.bigint() - start;
-                    this.push(parse(buf, this));
+                    let block;
+                    try {
+                        block = decode_block(raw, this.with);
+                    } catch (err) {
+                        this.skip(err, where);
+                        continue;
+                    }
+                    this.pushBlock(block, where, end);
+                    if (this.past(block.last))
+                        this.finish();
                 }
-                this.offset += this.needed;
-                this.needed = 4;   // next header length follows
+            }
+            else if (this.status == 4) {   // looking for the next blob after a broken one
+                let at = this.offset + 4;
+                while ((at = this.buffer.indexOf(blobMarker, at)) >= 0) {
+                    const l = this.buffer.readUInt32BE(at - 4);
+                    if (l > blobMarker.length && l <= maxHeaderSize)
+                        break;
+                    at++;
+                }
+                if (at < 0) {
+                    // the marker may begin in the last bytes
+                    this.offset = Math.max(this.offset, this.buffer.length - blobMarker.length - 3);
+                    return next();
+                }
+                this.offset = at - 4;
+                this.needed = 4;
                 this.status = 0;
+                pbf.length = this.offset;
+                const err = this.broken;
+                this.broken = null;
+                this.skip(err, null, this.base + this.offset - err.offset);
             }
         }
 
@@ -124,22 +281,316 @@ export class OSMTransform extends Transform {
         }
     }
 
-    _flush(callback) {
-        if (debug) {
-            let sec = Number(this.inflate_ns) * 1e-9;
-            console.log(`inflateSync took ${sec.toFixed(3)} sec.`);
+    /** Location of the current blob for OSMParseError */
+    where() {
+        return { blob: this.blob, offset: this.blobOffset, blockType: this.blobType };
+    }
+
+    /**
+     * Throws the error unless it is OSMParseError and onError is not 'throw',
+     * otherwise reports the skipped block with the 'skip' event.
+     * @param {Error} err
+     * @param {object} where location of the block, if not set in err
+     * @param {number} skipped number of bytes skipped, the whole blob by default
+     */
+    skip(err, where, skipped) {
+        if (!(err instanceof OSMParseError))
+            throw err;
+        if (where)
+            err = parse_error(err, err.stage, where);
+        if (this.onError == 'throw')
+            throw err;
+        this.stats.skippedBlocks++;
+        err.skipped = skipped ?? this.base + this.offset - err.offset;
+        this.emit('skip', err);
+        if (typeof this.onError == 'function')
+            this.onError(err);
+    }
+
+    /** Checks whether a BlobHeader follows the length at the current offset */
+    atBlobHeader() {
+        const at = this.offset + 4;
+        return [blobMarker, headerMarker].some(marker =>
+            this.buffer.subarray(at, at + marker.length).equals(marker));
+    }
+
+    offsetError() {
+        return new Error(`startOffset ${this.startOffset} is not at a blob header`);
+    }
+
+    /** Handles an error in the blob framing, the next blob is to be found */
+    resync(err) {
+        if (this.blob == 0 && this.startOffset > 0)
+            throw this.offsetError();
+        err = parse_error(err, 'header', this.where());
+        if (this.onError == 'throw')
+            throw err;
+        this.broken = err;
+        this.status = 4;
+        this.needed = blobMarker.length + 4;
+    }
+
+    readHeader(raw, where, end) {
+        let header;
+        try {
+            header = HeaderBlock.read(new Pbf(inflate(raw)));
+        } catch (err) {
+            this.skip(parse_error(err, 'decode'), where);
+            return;
+        }
+        check_features(header, this.with.acceptFeatures);
+        this.with.locationsOnWays =
+            header.optional_features.includes('LocationsOnWays');
+        this.with.historical = header.required_features.includes('HistoricalInformation');
+        this.sorted = header.optional_features.includes('Sort.Type_then_ID');
+        this.pushBlob([this.with.header == 'normalized' ? normalizeHeader(header) : header],
+            where, end);
+    }
+
+    /**
+     * Pushes the output of a blob with the file offsets of the blob
+     * and of the next one, the latter is the checkpoint to resume from
+     */
+    pushBlob(output, where, end) {
+        output.offset = where.offset;
+        output.nextOffset = end;
+        this.stats.bytes = end;
+        this.push(output);
+        this.progress(false);
+    }
+
+    /** Pushes a parsed OSMData block, see decode_block, and counts its entities */
+    pushBlock(block, where, end) {
+        const stats = this.stats;
+        stats.blocks++;
+        stats.inflateTime += block.inflateTime;
+        stats.decodeTime += block.decodeTime;
+        for (const item of block.batch) {
+            if (item.type == 'nodes')   // columnar
+                stats.nodes += item.count;
+            else
+                stats[item.type + 's']++;
         }
-        assert(this.buffer.length == this.offset && this.status == 0);
-        callback();
+        this.pushBlob(block.batch, where, end);
+    }
+
+    /**
+     * Emits the 'progress' event with a copy of the statistics,
+     * not more often than progressInterval unless final
+     */
+    progress(final) {
+        if (this.listenerCount('progress') == 0 && this.onProgress == null)
+            return;
+        const now = performance.now();
+        if (!final && now - this.lastProgress < this.progressInterval)
+            return;
+        this.lastProgress = now;
+        this.updateStats(now);
+        const stats = Object.assign({}, this.stats);
+        this.emit('progress', stats);
+        this.onProgress?.(stats);
+    }
+
+    updateStats(now) {
+        const stats = this.stats;
+        stats.elapsed = this.startTime == null ? 0 : now - this.startTime;
+        stats.throughput = stats.elapsed > 0
+            ? (stats.bytes - this.startOffset) / stats.elapsed * 1000 : 0;
+        stats.eta = stats.totalSize != null && stats.throughput > 0
+            ? Math.max(0, stats.totalSize - stats.bytes) / stats.throughput : null;
     }
+
+    /** Sends the block to the worker pool, the results are pushed in order */
+    dispatch(raw, where, end) {
+        if (this.pool == null)
+            this.pool = new WorkerPool(this.workers, this.with);
+        const skipped = end - where.offset;
+        const task = this.pool.run(raw).catch(err => {
+            this.skip(err, where, skipped);
+            return null;
+        });
+        this.last = Promise.all([this.last, task]).then(([, block]) => {
+            if (this.destroyed || this.finished || block == null)
+                return;
+            this.pushBlock(block, where, end);
+            if (this.past(block.last))
+                this.finish();
+        });
+        this.last.catch(err => this.destroy(err));
+        this.pending.push(this.last);
+    }
+
+    /**
+     * Checks whether the rest of a sorted file has no entities of the wanted
+     * types, given the index of the last type in the block just parsed
+     */
+    past(last) {
+        return this.sorted && this.with.types != null
+            && entityTypes.every((type, t) => t < last || !this.with.types[type]);
+    }
+
+    /** Ends the output before the end of the input */
+    finish() {
+        this.finished = true;
+        this.updateStats(performance.now());
+        this.progress(true);
+        this.push(null);
+    }
+
+    /** Reports the input ending in the middle of a blob */
+    checkEnd() {
+        if (this.status == 4) {
+            const err = this.broken;
+            this.broken = null;
+            this.skip(err, null, this.base + this.buffer.length - err.offset);
+        }
+        else if (this.blob < 0 && !this.buffer?.length) {
+            if (this.startOffset > 0) {
+                if (this.startOffset > (this.stats.totalSize ?? Infinity))
+                    throw this.offsetError();
+                return;     // resumed at the end of the file
+            }
+            this.skip(new OSMParseError('truncated file, no data', { stage: 'truncated' }),
+                { blob: 0, offset: 0, blockType: null }, 0);
+        }
+        else if (this.blob < 0 && this.startOffset > 0)
+            throw this.offsetError();    // too few bytes to be a blob
+        else if (this.buffer.length != this.offset || this.status != 0) {
+            const missing = this.needed - (this.buffer.length - this.offset);
+            const where = this.status == 0 ? {
+                blob: this.blob + 1, offset: this.base + this.offset, blockType: null
+            } : this.where();
+            this.skip(new OSMParseError(`truncated file, ${missing} bytes missing`,
+                { stage: 'truncated' }), where, this.base + this.buffer.length - where.offset);
+        }
+    }
+
+    _flush(callback) {
+        this.last.then(() => {
+            this.pool?.terminate();
+            this.pool = null;
+            if (!this.finished) {
+                this.checkEnd();
+                if (this.buffer)
+                    this.stats.bytes = this.base + this.buffer.length;
+                this.updateStats(performance.now());
+                this.progress(true);
+            }
+            callback();
+        }).catch(err => {
+            if (!this.destroyed)
+                callback(err);
+        });    // the errors of the blocks are reported by destroy()
+    }
+
+    _destroy(err, callback) {
+        this.pool?.terminate();
+        this.pool = null;
+        callback(err);
+    }
+}
+
+/** Checks the startOffset option */
+function offset_option(opt = 0) {
+    if (!Number.isSafeInteger(opt) || opt < 0)
+        throw new Error(`wrong startOffset option ${opt}`);
+    return opt;
+}
+
+/** Checks the onError option */
+function error_option(opt = 'throw') {
+    if (opt != 'throw' && opt != 'skip-block' && typeof opt != 'function')
+        throw new Error(`wrong onError option ${opt}`);
+    return opt;
+}
+
+/** Checks OSMOptions and converts them into the form used by parse_data */
+export function osm_options(osmopts) {
+    const history = osmopts.history ?? false;
+    return {
+        withTags: with_tags(osmopts.withTags ?? true),
+        withInfo: history || (osmopts.withInfo ?? false),
+        history: history,
+        writeRaw: osmopts.writeRaw ?? false,
+        filter: compile_filter(osmopts.filter),
+        types: entity_types(osmopts.types),
+        columnar: columnar_option(osmopts),
+        ids: ids_option(osmopts.ids),
+        header: header_option(osmopts.header),
+        acceptFeatures: accept_features(osmopts.acceptFeatures ?? false, history),
+        locationsOnWays: true,  // unless the header says otherwise
+        historical: false       // whether the header has HistoricalInformation
+    };
+}
+
+/**
+ * Returns the options for an extra pass over the file, like the first
+ * pass of extract: the caller's options (so that the file is read
+ * the same way) without those changing what is output, plus opts
+ */
+export function pass_options(osmopts, opts) {
+    return Object.assign({}, osmopts, {
+        withTags: false, withInfo: false, types: undefined, filter: undefined,
+        columnar: false, writeRaw: false, locations: undefined, geojson: undefined
+    }, opts);
+}
+
+/** Adds HistoricalInformation to the accepted features in the history mode */
+function accept_features(accept, history) {
+    if (!history || accept === true)
+        return accept;
+    return (Array.isArray(accept) ? accept : []).concat('HistoricalInformation');
+}
+
+function header_option(header = 'raw') {
+    if (header != 'raw' && header != 'normalized')
+        throw new Error(`wrong header option ${header}`);
+    return header;
+}
+
+function ids_option(ids = 'number') {
+    if (ids != 'number' && ids != 'bigint')
+        throw new Error(`wrong ids option ${ids}`);
+    return ids;
+}
+
+function columnar_option(osmopts) {
+    const columnar = osmopts.columnar ?? false;
+    if (columnar && typeof osmopts.filter == 'function')
+        throw new Error('filter function cannot be used with columnar');
+    return columnar;
+}
+
+/** Converts the types option into {node, way, relation, changeset} or null for all types */
+function entity_types(opt) {
+    if (opt === undefined || opt === null)
+        return null;
+    if (!Array.isArray(opt) || opt.length == 0 || opt.some(t => !entityTypes.includes(t)))
+        throw new Error(`wrong types option ${opt}`);
+    return {
+        node: opt.includes('node'),
+        way: opt.includes('way'),
+        relation: opt.includes('relation'),
+        changeset: opt.includes('changeset')
+    };
+}
+
+/** Returns compression kind, compressed data and its uncompressed size */
+export function raw_block(blob) {
+    assert(blob.data, 'blob without data');
+    return {
+        compression: blob.data,
+        data: blob[blob.data],
+        raw_size: blob.raw_size
+    };
 }
 
 function with_tags(opt) {
     if (typeof opt == 'boolean')
-        return { node: opt, way: opt, relation: opt };
+        return { node: opt, way: opt, relation: opt, changeset: opt };
     let result = {};
     if (typeof opt == 'object' && opt != null) {
-        for (let k of ['node', 'way', 'relation']) {
+        for (let k of entityTypes) {
             let b = opt[k] ?? true;
             if (typeof b == 'boolean')
                 result[k] = b;
@@ -162,29 +613,95 @@ function with_tags(opt) {
  * @param {OSMTransform | OSMOptions} that
  */
 export function parse(buf, that) {
-    const data = PrimitiveBlock.read(new Pbf(buf));
-    if (that instanceof OSMTransform) {
-        data.withTags = that.with.withTags;
-        data.withInfo = that.with.withInfo;
-    } else {
-        data.withTags = with_tags(that ?? true);
-        data.withInfo = that.withInfo ?? false;
+    if (that instanceof OSMTransform)
+        return parse_data(buf, that.with);
+    return parse_data(buf, {
+        withTags: with_tags(that ?? true),
+        withInfo: that?.history || (that?.withInfo ?? false),
+        history: that?.history ?? false,
+        filter: compile_filter(that?.filter),
+        types: entity_types(that?.types),
+        columnar: columnar_option(that ?? {}),
+        ids: ids_option(that?.ids),
+        locationsOnWays: true
+    });
+}
+
+/** Decompresses a raw block, the errors are OSMParseError */
+function inflate(raw) {
+    try {
+        return decompress(raw);
+    } catch (err) {
+        throw parse_error(err, 'inflate');
     }
+}
+
+/**
+ * Decompresses and parses an OSMData block, returns the result of parse_block
+ * with inflateTime and decodeTime in milliseconds
+ */
+export function decode_block(raw, opts) {
+    const start = performance.now();
+    const buf = inflate(raw);
+    const inflated = performance.now();
+    const block = parse_block(buf, opts);
+    block.inflateTime = inflated - start;
+    block.decodeTime = performance.now() - inflated;
+    return block;
+}
+
+/**
+ * Same as parse, with options already checked and converted
+ * as in OSMTransform.with
+ */
+export function parse_data(buf, opts) {
+    return parse_block(buf, opts).batch;
+}
+
+/**
+ * Same as parse_data, returns {batch, last}, where last is the index
+ * in entityTypes of the last entity type in the block, skipped or not
+ */
+export function parse_block(buf, opts) {
+    const bigint = opts.ids == 'bigint';
+    let data;
+    try {
+        data = read_block(buf, opts.types, bigint);
+    } catch (err) {
+        throw parse_error(err, 'decode');
+    }
+    data.zero = bigint ? 0n : 0;
+    data.safe = bigint ? id => id : safe_id;
+    data.withTags = opts.withTags;
+    data.withInfo = opts.withInfo;
+    data.history = opts.history ?? false;
+    data.historical = opts.historical ?? false;
+    data.locationsOnWays = opts.locationsOnWays;
     data.strings = data.stringtable.s.map(b => b.toString('utf8'));
     data.date_granularity = data.date_granularity || 1000;
     data.granularity = (!data.granularity || data.granularity == 100) ? 1e7
         : 1e9 / data.granularity;
     data.lat_offset *= 1e-9;
     data.lon_offset *= 1e-9;
+    // the filter function is called for the built entities, the expressions
+    // are checked against the string table before an entity is built
+    const fn = opts.filter?.fn;
+    const match = data.match = opts.filter && !fn ? bind_filter(opts.filter, data.strings)
+        : null;
     let batch = [];
     for (const p of data.primitivegroup) {
-        if (p.changesets && p.changesets.length > 0)
-            throw new Error('changesets not implemented');
-        if (p.nodes) {
-            for (const n of p.nodes)
-                batch.push(parse_node(n, data));
+        if (opts.columnar && (p.dense || p.nodes.length > 0)) {
+            const nodes = parse_columns(p, data);
+            if (nodes.count > 0)
+                batch.push(nodes);
         }
-        if (p.dense) {
+        else if (p.nodes) {
+            for (const n of p.nodes) {
+                if (!match || match('node', n.id, n.keys, n.vals, 0, 0, n.keys.length, 1))
+                    batch.push(parse_node(n, data));
+            }
+        }
+        if (p.dense && !opts.columnar) {
             const parsed = parse_dense(p.dense, data);
             if (batch.length == 0)
                 batch = parsed;
@@ -200,32 +717,84 @@ export function parse(buf, that) {
             }
         }
         if (p.ways) {
-            for (const w of p.ways)
-                batch.push(parse_way(w, data));
+            for (const w of p.ways) {
+                if (!match || match('way', w.id, w.keys, w.vals, 0, 0, w.keys.length, 1))
+                    batch.push(parse_way(w, data));
+            }
         }
         if (p.relations) {
-            for (const r of p.relations)
-                batch.push(parse_rel(r, data));
+            for (const r of p.relations) {
+                if (!match || match('relation', r.id, r.keys, r.vals, 0, 0, r.keys.length, 1))
+                    batch.push(parse_rel(r, data));
+            }
+        }
+        if (p.changesets) {
+            // ChangeSet has nothing but the id
+            for (const c of p.changesets) {
+                if (!match || match('changeset', c.id, [], [], 0, 0, 0, 1))
+                    batch.push({ type: 'changeset', id: data.safe(c.id) });
+            }
         }
     }
-    return batch;
+    return {
+        batch: fn ? batch.filter(fn) : batch,
+        last: data.last
+    };
+}
+
+/**
+ * Same as PrimitiveBlock.read, but leaves the group members of unwanted
+ * types undecoded (readFields skips the fields not read) and sets
+ * block.last to the index of the last entity type in the block.
+ * @param {Buffer} buf
+ * @param {{node: boolean, way: boolean, relation: boolean, changeset: boolean}} types
+ * @param {boolean} bigint whether to read the ids as BigInt
+ */
+function read_block(buf, types, bigint) {
+    let last = -1;
+    const read_group = (tag, group, pbf) => {
+        const t = groupFields[tag];
+        if (t !== undefined) {
+            last = Math.max(last, t);
+            if (types && !types[entityTypes[t]])
+                return;
+        }
+        if (bigint)
+            read_group_field(tag, group, pbf);
+        else
+            PrimitiveGroup._readField(tag, group, pbf);
+    };
+    const read_field = (tag, block, pbf) => {
+        if (tag === 2) {
+            block.primitivegroup.push(pbf.readFields(read_group, {
+                nodes: [], dense: null, ways: [], relations: [], changesets: []
+            }, pbf.readVarint() + pbf.pos));
+        } else
+            PrimitiveBlock._readField(tag, block, pbf);
+    };
+    const block = new Pbf(buf).readFields(read_field, {
+        stringtable: null, primitivegroup: [], granularity: 100,
+        lat_offset: 0, lon_offset: 0, date_granularity: 1000
+    });
+    block.last = last;
+    return block;
 }
 
 function parse_rel(r, data) {
     const strings = data.strings;
     assertArrays(r.memids, r.types, r.roles_sid);
     const members = Array(r.memids.length);
-    let ref = 0;
+    let ref = data.zero;
     for (let i = 0; i < r.memids.length; i++) {
         members[i] = {
             type: memberTypes[r.types[i]],
-            ref: ref += r.memids[i],
+            ref: data.safe(ref += r.memids[i]),
             role: strings[r.roles_sid[i]]
         };
     }
     const rel = {
         type: 'relation',
-        id: r.id,
+        id: data.safe(r.id),
         members: members
     }
     if (data.withTags.relation) {
@@ -251,15 +820,25 @@ function parse_rel(r, data) {
 function parse_way(w, data) {
     const strings = data.strings;
     const refs = Array(w.refs.length);
-    let ref = 0;
+    let ref = data.zero;
     for (let i = 0; i < w.refs.length; i++) {
-        refs[i] = (ref += w.refs[i]);
+        refs[i] = data.safe(ref += w.refs[i]);
     }
     const way = {
         type: 'way',
-        id: w.id,
+        id: data.safe(w.id),
         refs: refs
     }
+    if (data.locationsOnWays && w.lat.length > 0) {
+        assertArrays(w.refs, w.lat, w.lon);
+        way.lat = Array(w.lat.length);
+        way.lon = Array(w.lon.length);
+        let lat = 0, lon = 0;
+        for (let i = 0; i < w.lat.length; i++) {
+            way.lat[i] = data.lat_offset + (lat += w.lat[i]) / data.granularity;
+            way.lon[i] = data.lon_offset + (lon += w.lon[i]) / data.granularity;
+        }
+    }
     if (data.withTags.way) {
         assertArrays(w.keys, w.vals);
         const filter = data.withTags.way === true ? false : data.withTags.way;
@@ -284,7 +863,7 @@ function parse_node(n, data) {
     const strings = data.strings;
     const node = {
         type: 'node',
-        id: n.id,
+        id: data.safe(n.id),
         lat: data.lat_offset + n.lat / data.granularity,
         lon: data.lon_offset + n.lon / data.granularity
     }
@@ -309,47 +888,61 @@ function parse_node(n, data) {
 }
 
 function parse_dense(dense, data) {
-    const dinfo = dense.denseinfo;
-    let id = 0, lat = 0, lon = 0;
-    let timestamp = 0, changeset = 0;
+    const dinfo = data.withInfo ? dense.denseinfo : null;
+    let id = data.zero, lat = 0, lon = 0;
+    let timestamp = 0, changeset = data.zero;
     let uid = 0, user_sid = 0;
     //
     assertArrays(dense.id, dense.lat, dense.lon);
+    if (dinfo) {
+        assertArrays(dense.id, dinfo.timestamp, dinfo.changeset, dinfo.uid,
+            dinfo.user_sid, dinfo.version);
+    }
     const strings = data.strings;
+    const kv = dense.keys_vals;
+    const tagged = kv.length > 0;
     const nodes = Array(dense.id.length);
-    let j = 0;
+    let count = 0, j = 0;
     for (let i = 0; i < dense.id.length; i++) {
         id += dense.id[i];
         lat += dense.lat[i];
         lon += dense.lon[i];
+        if (dinfo) {
+            timestamp += dinfo.timestamp[i];
+            changeset += dinfo.changeset[i];
+            uid += dinfo.uid[i];
+            user_sid += dinfo.user_sid[i];
+        }
+        const start = j;     // the tags are kv[start], kv[start + 1], ... up to 0
+        if (data.match) {
+            if (tagged)
+                j = tags_end(kv, j) + 1;
+            if (!data.match('node', id, kv, kv, start, start + 1,
+                tagged ? (j - 1 - start) / 2 : 0, 2))
+                continue;
+        }
         const node = {
             type: 'node',
             id: id,
             lat: data.lat_offset + lat / data.granularity,
             lon: data.lon_offset + lon / data.granularity
         }
-        if (data.withTags.node && dense.keys_vals.length > 0) {
+        if (data.withTags.node && tagged) {
             const filter = data.withTags.node === true ? false : data.withTags.node;
             const tags = {};
-            while (dense.keys_vals[j] !== 0) {
-                const key = strings[dense.keys_vals[j]];
-                const val = strings[dense.keys_vals[j + 1]];
+            let k = start;
+            for (; k < kv.length && kv[k] !== 0; k += 2) {
+                const key = strings[kv[k]];
+                const val = strings[kv[k + 1]];
                 if (!filter || filter.has(key))
                     tags[key] = val;
-                j += 2;
             }
-            j++;
+            assert(k < kv.length);
+            j = k + 1;
             if (!isEmpty(tags))
                 node.tags = tags;
         }
-        if (data.withInfo && dinfo) {
-            assertArrays(dense.id, dinfo.timestamp, dinfo.changeset, dinfo.uid,
-                dinfo.user_sid, dinfo.version);
-            timestamp += dinfo.timestamp[i];
-            changeset += dinfo.changeset[i];
-            uid += dinfo.uid[i];
-            user_sid += dinfo.user_sid[i];
-            //
+        if (dinfo) {
             const info = fill_info(data, {
                 version: dinfo.version[i],
                 timestamp: timestamp,
@@ -361,19 +954,156 @@ function parse_dense(dense, data) {
             if (!isEmpty(info))
                 node.info = info;
         }
-        nodes[i] = node;
+        nodes[count++] = node;
     }
+    // the ids are usually sorted, so the last one is the largest
+    if (count > 0)
+        data.safe(id);
+    nodes.length = count;
     return nodes;
 }
 
+/** Returns the index of 0 ending the tags of a dense node starting at kv[j] */
+function tags_end(kv, j) {
+    while (kv[j] !== 0) {
+        assert(j < kv.length);
+        j += 2;
+    }
+    return j;
+}
+
+/**
+ * Returns the nodes of the group (dense or not) in the columnar form:
+ * typed arrays instead of objects, tags as indexes into the string table.
+ * The tags of the node i are tagKeys[k], tagVals[k]
+ * for tagOffsets[i] <= k < tagOffsets[i + 1].
+ */
+function parse_columns(p, data) {
+    const dense = p.dense;
+    const kv = dense?.keys_vals ?? [];
+    const size = (dense?.id.length ?? 0) + p.nodes.length;
+    const withTags = data.withTags.node;
+    const keyFilter = withTags === true || withTags === false ? null
+        : new Set(data.strings.map((s, i) => withTags.has(s) ? i : -1).filter(i => i >= 0));
+    const cols = {
+        type: 'nodes',
+        count: 0,
+        strings: data.strings,
+        id: data.zero === 0n ? new BigInt64Array(size) : new Float64Array(size),
+        lat: new Float64Array(size),
+        lon: new Float64Array(size)
+    };
+    if (withTags) {
+        let ntags = kv.length >> 1;
+        for (const n of p.nodes)
+            ntags += n.keys.length;
+        cols.tagOffsets = new Uint32Array(size + 1);
+        cols.tagKeys = new Uint32Array(ntags);
+        cols.tagVals = new Uint32Array(ntags);
+    }
+    const dinfo = dense?.denseinfo;
+    if (data.withInfo && (dinfo || p.nodes.some(n => n.info))) {
+        cols.info = {
+            version: new Int32Array(size),
+            timestamp: new Float64Array(size),   // in milliseconds
+            changeset: data.zero === 0n ? new BigInt64Array(size) : new Float64Array(size),
+            uid: new Int32Array(size),
+            user: new Uint32Array(size),         // index into strings
+            visible: new Uint8Array(size)
+        };
+    }
+    let ntags = 0;
+
+    function add(id, lat, lon, keys, vals, ki, vi, n, step, info) {
+        if (data.match && !data.match('node', id, keys, vals, ki, vi, n, step))
+            return;
+        const i = cols.count++;
+        cols.id[i] = data.safe(id);
+        cols.lat[i] = data.lat_offset + lat / data.granularity;
+        cols.lon[i] = data.lon_offset + lon / data.granularity;
+        if (withTags) {
+            for (let k = 0; k < n; k++) {
+                const key = keys[ki + step * k];
+                if (keyFilter && !keyFilter.has(key))
+                    continue;
+                cols.tagKeys[ntags] = key;
+                cols.tagVals[ntags] = vals[vi + step * k];
+                ntags++;
+            }
+            cols.tagOffsets[i + 1] = ntags;
+        }
+        if (cols.info && info) {
+            cols.info.version[i] = info.version;
+            cols.info.timestamp[i] = info.timestamp * data.date_granularity;
+            cols.info.changeset[i] = data.safe(info.changeset);
+            cols.info.uid[i] = info.uid;
+            cols.info.user[i] = info.user_sid;
+            cols.info.visible[i] = info.visible === false ? 0 : 1;
+        }
+    }
+
+    for (const n of p.nodes) {
+        assertArrays(n.keys, n.vals);
+        add(n.id, n.lat, n.lon, n.keys, n.vals, 0, 0, n.keys.length, 1, n.info);
+    }
+    if (dense) {
+        assertArrays(dense.id, dense.lat, dense.lon);
+        if (cols.info && dinfo) {
+            assertArrays(dense.id, dinfo.timestamp, dinfo.changeset, dinfo.uid,
+                dinfo.user_sid, dinfo.version);
+        }
+        let id = data.zero, lat = 0, lon = 0;
+        const info = { version: 0, timestamp: 0, changeset: data.zero, uid: 0, user_sid: 0 };
+        let j = 0;
+        for (let i = 0; i < dense.id.length; i++) {
+            id += dense.id[i];
+            lat += dense.lat[i];
+            lon += dense.lon[i];
+            const start = j;
+            if (kv.length > 0) {
+                while (kv[j] !== 0) {
+                    assert(j < kv.length);
+                    j += 2;
+                }
+                j++;
+            }
+            if (cols.info && dinfo) {
+                info.version = dinfo.version[i];
+                info.timestamp += dinfo.timestamp[i];
+                info.changeset += dinfo.changeset[i];
+                info.uid += dinfo.uid[i];
+                info.user_sid += dinfo.user_sid[i];
+                info.visible = dinfo.visible[i];
+            }
+            add(id, lat, lon, kv, kv, start, start + 1, kv.length > 0 ? (j - 1 - start) / 2 : 0,
+                2, dinfo ? info : null);
+        }
+    }
+    if (cols.count < size) {
+        for (const name of ['id', 'lat', 'lon'])
+            cols[name] = cols[name].slice(0, cols.count);
+        if (cols.info) {
+            for (const name in cols.info)
+                cols.info[name] = cols.info[name].slice(0, cols.count);
+        }
+        if (withTags)
+            cols.tagOffsets = cols.tagOffsets.slice(0, cols.count + 1);
+    }
+    if (withTags) {
+        cols.tagKeys = cols.tagKeys.slice(0, ntags);
+        cols.tagVals = cols.tagVals.slice(0, ntags);
+    }
+    return cols;
+}
+
 function fill_info(data, info) {
     const ret = {};
-    if (info.version !== 0)
-        ret.version = info.version;
-    if (info.timestamp !== 0)
+    if ((info.version !== 0 && info.version !== -1) || data.history)
+        ret.version = info.version;     // -1 is the default if missing
+    if (info.timestamp !== 0 || data.history)
         ret.timestamp = info.timestamp * data.date_granularity;
-    if (info.changeset !== 0)
-        ret.changeset = info.changeset;
+    if (info.changeset != 0)
+        ret.changeset = data.safe(info.changeset);
     if (info.uid !== 0)
         ret.uid = info.uid;
     if (info.user_sid !== 0) {
@@ -381,16 +1111,52 @@ function fill_info(data, info) {
         if (s)
             ret.user = s;
     }
-    if (info.visible === false)
-        ret.visible = false;
+    if (data.history)
+        ret.visible = info.visible !== false;
+    else if (info.visible === false && data.historical)
+        ret.visible = false;    // meaningless without HistoricalInformation
     return ret;
 }
 
 export async function* createOSMStream(file, opts) {
-    const readable = createReadStream(file)
-        .pipe(new OSMTransform(opts));
-    for await (const chunk of readable) {
-        for (const item of chunk)
-            yield item;
+    if (opts?.locations || opts?.geojson) {
+        if (opts.columnar)
+            throw new Error('columnar cannot be used with locations or geojson');
+        if (opts.writeRaw)
+            throw new Error('writeRaw cannot be used with locations or geojson');
+        const items = withLocations(createOSMStream(file, Object.assign({}, opts, {
+            locations: undefined,
+            geojson: undefined
+        })), opts);
+        if (!opts.geojson)
+            return yield* items;
+        for await (const item of items) {
+            if (item.type !== undefined)
+                yield toFeature(item, opts.areaTags);
+        }
+        return;
+    }
+    const format = opts?.format ?? (/\.(osm|xml)$/i.test(file) ? 'xml' : 'pbf');
+    if (format != 'pbf' && format != 'xml')
+        throw new Error(`unknown format ${format}`);
+    if (format == 'xml' && opts?.startOffset)
+        throw new Error('startOffset is not supported for XML input');
+    const transform = format == 'xml' ? new OSMXmlTransform(opts)
+        : new OSMTransform(Object.assign({}, opts, {
+            totalSize: opts?.totalSize ?? (await stat(file)).size
+        }));
+    const input = createReadStream(file, { start: transform.startOffset ?? 0 });
+    const readable = input.pipe(transform);
+    try {
+        for await (const chunk of readable) {
+            if (!Array.isArray(chunk)) {    // raw block with writeRaw
+                yield chunk;
+                continue;
+            }
+            for (const item of chunk)
+                yield item;
+        }
+    } finally {
+        input.destroy();    // the output can end before the input
     }
 }
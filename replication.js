@@ -0,0 +1,192 @@
+import { readFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { Readable } from 'node:stream';
+import { gunzipSync } from 'node:zlib';
+import { createOSMStream } from './parser.js';
+import { OSMChangeTransform } from './osc.js';
+import { is_normalized, normalizeHeader } from './header.js';
+
+/**
+ * Parses a replication state file (state.txt), which is in the format
+ * of Java properties. Returns all the properties with sequenceNumber
+ * as a number and timestamp as Date.
+ * @param {string} text
+ */
+export function parseState(text) {
+    const state = {};
+    for (const line of text.split(/\r?\n/)) {
+        if (/^\s*([#!]|$)/.test(line))
+            continue;
+        const m = /^\s*([^=:\s]+)\s*[=:]\s*(.*)$/.exec(line);
+        if (m == null)
+            throw new Error(`wrong line in the state file: ${line}`);
+        state[m[1]] = m[2].replace(/\\(.)/g, '$1');
+    }
+    if (state.sequenceNumber === undefined || state.timestamp === undefined)
+        throw new Error('the state file has no sequenceNumber or timestamp');
+    state.sequenceNumber = Number(state.sequenceNumber);
+    state.timestamp = new Date(state.timestamp);
+    if (!Number.isSafeInteger(state.sequenceNumber) || Number.isNaN(state.timestamp.getTime()))
+        throw new Error('wrong sequenceNumber or timestamp in the state file');
+    return state;
+}
+
+/**
+ * Returns the path of a diff or state file relative to the base URL,
+ * without the extension, e.g. '000/123/456' for 123456.
+ * @param {number} sequenceNumber
+ */
+export function sequencePath(sequenceNumber) {
+    if (!Number.isSafeInteger(sequenceNumber) || sequenceNumber < 0 || sequenceNumber > 999999999)
+        throw new Error(`wrong sequence number ${sequenceNumber}`);
+    const s = String(sequenceNumber).padStart(9, '0');
+    return `${s.slice(0, 3)}/${s.slice(3, 6)}/${s.slice(6)}`;
+}
+
+/**
+ * Client of a replication source like https://planet.openstreetmap.org/replication/minute,
+ * or a local mirror directory with the same layout.
+ */
+export class ReplicationClient {
+    /**
+     * @param {string} [source] base URL (http or https) or a directory,
+     * by default osmosis_replication_base_url of the header given to missing()
+     * @param {object} osmopts options for OSMChangeTransform
+     */
+    constructor(source, osmopts = {}) {
+        this.source = null;
+        this.remote = false;
+        if (source != null)
+            this.setSource(source);
+        this.osmopts = osmopts;
+    }
+
+    setSource(source) {
+        this.remote = /^https?:\/\//i.test(source);
+        this.source = this.remote ? source.replace(/\/+$/, '') : source;
+    }
+
+    /** Reads a file of the source, returns null if it does not exist */
+    async read(path) {
+        if (this.source == null)
+            throw new Error('no replication source, give it to the constructor or call missing() first');
+        if (!this.remote) {
+            try {
+                return await readFile(join(this.source, path));
+            } catch (err) {
+                if (err.code == 'ENOENT')
+                    return null;
+                throw err;
+            }
+        }
+        const url = `${this.source}/${path}`;
+        const res = await fetch(url);
+        if (res.status == 404)
+            return null;
+        if (!res.ok)
+            throw new Error(`${url}: ${res.status} ${res.statusText}`);
+        return Buffer.from(await res.arrayBuffer());
+    }
+
+    /**
+     * Returns the state after the given diff, or the latest one,
+     * null if there is no such diff.
+     * @param {number} [sequenceNumber]
+     */
+    async state(sequenceNumber) {
+        const path = sequenceNumber === undefined ? 'state.txt'
+            : sequencePath(sequenceNumber) + '.state.txt';
+        const buf = await this.read(path);
+        if (buf == null && sequenceNumber === undefined)
+            throw new Error(`no state.txt in ${this.source}`);
+        return buf && parseState(buf.toString('utf8'));
+    }
+
+    /**
+     * Finds the last diff made not later than the given time,
+     * by a binary search over the state files.
+     * @param {Date|string|number} date
+     */
+    async sequenceAt(date) {
+        const t = new Date(date).getTime();
+        const latest = await this.state();
+        if (latest.timestamp.getTime() <= t)
+            return latest.sequenceNumber;
+        // the timestamp of hi is later than t, lo is earlier or missing
+        let lo = 0, hi = latest.sequenceNumber;
+        while (hi - lo > 1) {
+            const mid = Math.floor((lo + hi) / 2);
+            const state = await this.state(mid);
+            if (state == null || state.timestamp.getTime() <= t)
+                lo = mid;
+            else
+                hi = mid;
+        }
+        return lo;
+    }
+
+    /**
+     * Returns the sequence numbers of the diffs to apply to a file to make
+     * it current, judging by the replication fields of its header.
+     * Without a source, the base URL of the header becomes the source.
+     * @param {object|string} header raw or normalized header, or osm.pbf file name
+     */
+    async missing(header) {
+        let what = 'the header';
+        if (typeof header == 'string') {
+            what = header;
+            // whatever the data blocks are, only the header is needed
+            const items = createOSMStream(header, {
+                types: ['node'], onError: 'skip-block', acceptFeatures: true
+            });
+            header = (await items.next()).value;
+            await items.return();
+            if (header === undefined || header.type !== undefined)
+                throw new Error(`${what} has no header`);
+        }
+        if (header == null)
+            throw new Error('no header given');
+        const h = is_normalized(header) ? header : normalizeHeader(header);
+        if (this.source == null) {
+            if (h.replicationBaseUrl == null)
+                throw new Error(`${what} has no replication base URL, give the source to the constructor`);
+            this.setSource(h.replicationBaseUrl);
+        }
+        let seq = h.replicationSequenceNumber;
+        if (seq == null) {
+            if (h.replicationTimestamp == null)
+                throw new Error(`${what} has no replication sequence number or timestamp`);
+            seq = await this.sequenceAt(h.replicationTimestamp);
+        }
+        const latest = await this.state();
+        const result = [];
+        for (let n = seq + 1; n <= latest.sequenceNumber; n++)
+            result.push(n);
+        return result;
+    }
+
+    /**
+     * Returns the compressed diff (.osc.gz) as a Buffer.
+     * @param {number} sequenceNumber
+     */
+    async download(sequenceNumber) {
+        const path = sequencePath(sequenceNumber) + '.osc.gz';
+        const buf = await this.read(path);
+        if (buf == null)
+            throw new Error(`no ${path} in ${this.source}`);
+        return buf;
+    }
+
+    /**
+     * Reads the diff, yields the changes as readChanges does.
+     * @param {number} sequenceNumber
+     */
+    async* changes(sequenceNumber) {
+        const buf = gunzipSync(await this.download(sequenceNumber));
+        const readable = Readable.from([buf]).pipe(new OSMChangeTransform(this.osmopts));
+        for await (const chunk of readable) {
+            for (const change of chunk)
+                yield change;
+        }
+    }
+}
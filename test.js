@@ -1,8 +1,10 @@
 import { createReadStream } from 'node:fs';
-import { Transform, Writable } from 'node:stream';
-import { createOSMStream, OSMTransform, parse } from './parser.js';
+import { Readable, Transform, Writable } from 'node:stream';
+import { deepStrictEqual } from 'node:assert';
+import {
+    createOSMStream, OSMTransform, OSMWriter, parse, decompress, extract, applyChanges
+} from './parser.js';
 import { get as http_get } from 'node:http';
-import { inflateSync } from 'node:zlib';
 
 // feel free to change the following three settings
 
@@ -21,6 +23,8 @@ arg1 = 1: test OSMTransform
        2: test createOSMStream
        3: test http get
        4: test writeRaw
+       5: test BigInt ids with OSMWriter, locations and extract
+       6: test applyChanges with old and new versions (no file needed)
        0: print everything out,
 arg2 = file name or URL.
 `;
@@ -60,8 +64,8 @@ const final = new Transform.PassThrough({
 const rawWritable = new Writable({
     objectMode: true,
     write(chunk, enc, next) {
-        if (chunk instanceof Buffer) {
-            let buf = inflateSync(chunk);
+        if (chunk.compression) {
+            let buf = decompress(chunk);
             let batch = parse(buf, opts.withTags);
             for (let item of batch)
                 count(item);
@@ -125,6 +129,64 @@ async function test4() {
     });
 }
 
+async function collect(items) {
+    const result = [];
+    for await (let item of items)
+        result.push(item);
+    return result;
+}
+
+/** Converts BigInt ids into numbers for comparison */
+function numbers(item) {
+    return JSON.parse(JSON.stringify(item, (key, v) => typeof v == 'bigint' ? Number(v) : v));
+}
+
+// test BigInt ids with OSMWriter, locations and extract
+async function test5() {
+    console.log(`reading from ${file}`);
+    const items = await collect(createOSMStream(file, { withInfo: true, ids: 'bigint' }));
+    const expected = await collect(createOSMStream(file, { withInfo: true }));
+    const written = Readable.from([items]).pipe(new OSMWriter()).pipe(new OSMTransform({ withInfo: true }));
+    const read = (await collect(written)).flat();
+    deepStrictEqual(read.slice(1), expected.slice(1));
+    console.log('OSMWriter: ok');
+
+    for (const locations of ['dense', 'sparse']) {
+        const opts = { geojson: true, locations: locations };
+        const big = await collect(createOSMStream(file, Object.assign({ ids: 'bigint' }, opts)));
+        deepStrictEqual(big.map(numbers), await collect(createOSMStream(file, opts)));
+    }
+    console.log('locations: ok');
+
+    const { left, right, top, bottom } = items[0].bbox;
+    const bbox = [left, bottom, (left + right) / 2, (top + bottom) / 2].map(x => x * 1e-9);
+    const big = await collect(extract(file, { bbox: bbox }, { ids: 'bigint' }));
+    deepStrictEqual(big.map(numbers), await collect(extract(file, { bbox: bbox })));
+    console.log('extract: ok');
+    for (let item of big)
+        count(item);
+}
+
+// test applyChanges with old and new versions
+async function test6() {
+    const node = (id, version, name) => ({
+        type: 'node', id: id, lat: 1, lon: 2, tags: { name: name }, info: { version: version }
+    });
+    const items = [node(1, 3, 'a'), node(2, 3, 'b'), node(3, 3, 'c'), node(4, 1, 'd')];
+    const changes = [
+        { action: 'modify', item: node(1, 2, 'old') },      // older than the file
+        { action: 'modify', item: node(2, 3, 'same') },     // the same version
+        { action: 'delete', item: node(3, 2, 'old') },
+        { action: 'modify', item: node(4, 2, 'new') },
+        { action: 'create', item: node(5, 1, 'e') }
+    ];
+    const result = await collect(applyChanges(items, changes));
+    deepStrictEqual(result.map(item => item.tags.name), ['a', 'b', 'c', 'new', 'e']);
+    console.log('applyChanges: ok');
+    for (let item of result)
+        count(item);
+}
+
 // print out everything
 async function test0() {
     const opts0 = { withInfo: true, withTags: true };
@@ -134,17 +196,17 @@ async function test0() {
 }
 
 let arg = Number(process.argv[2]);
-if (!Number.isInteger(arg) || arg < 0 || arg > 4) {
+if (!Number.isInteger(arg) || arg < 0 || arg > 6) {
     process.stderr.write(usage);
     process.exit(1);
 }
-if (!(file = process.argv[3])) {
+if (!(file = process.argv[3]) && arg != 6) {
     process.stderr.write(usage);
     console.log('Please specify ' + (arg == 3 ? 'URL' : 'file name'));
     process.exit(1);
 }
 
-const proc = [test0, test1, test2, test3, test4];
+const proc = [test0, test1, test2, test3, test4, test5, test6];
 
 try {
     if (arg > 0)
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects } from 'node:assert';
+import { IdSet, OSMWriter, createOSMStream, extract, inspect, validate } from '../parser.js';
+import { collect, fixture, ids, parseBuffer, write } from './util.js';
+
+// bigids.osm.pbf is written by hand, as OSMWriter refuses such ids:
+// nodes 2^60 + 1, 2^60 + 3 and 5, way 2^55 + 7 and relation -2^61
+const big = fixture('bigids.osm.pbf');
+const sample = fixture('sample.osm.pbf');
+const A = 2n ** 60n + 1n, B = 2n ** 60n + 3n, W = 2n ** 55n + 7n, R = -(2n ** 61n);
+
+test('unsafe ids need ids: bigint', async () => {
+    await rejects(collect(big), /out of the safe integer range, use the option ids: 'bigint'/);
+    const items = await collect(big, { ids: 'bigint' });
+    deepStrictEqual(ids(items), [`n${A}`, `n${B}`, 'n5', `w${W}`, `r${R}`]);
+    deepStrictEqual(items[4].refs, [A, B, 5n]);
+    deepStrictEqual(items[5].members.map(m => m.ref), [W, B]);
+});
+
+test('columnar, filter and fast inspect', async () => {
+    const nodes = (await collect(big, { ids: 'bigint', columnar: true }))[1];
+    deepStrictEqual(nodes.id, new BigInt64Array([A, B, 5n]));
+    deepStrictEqual(ids(await collect(big, { ids: 'bigint', filter: `@id=${B},${W}` })), [`n${B}`, `w${W}`]);
+    for (const fast of [false, true]) {
+        const info = await inspect(big, { ids: 'bigint', fast: fast });
+        deepStrictEqual(info.entities.node, { count: 3, minId: 5n, maxId: B });
+        deepStrictEqual(info.entities.relation, { count: 1, minId: R, maxId: R });
+    }
+});
+
+test('IdSet and validate', async () => {
+    const set = new IdSet();
+    for (const id of [A, 7, 7n, -3n, R, A])
+        set.add(id);
+    deepStrictEqual(set.size, 4);
+    deepStrictEqual([set.has(A), set.has(7), set.has(7n), set.has(B)], [true, true, true, false]);
+    deepStrictEqual([...set], [R, -3, 7, A]);
+    const result = await validate(createOSMStream(big, { ids: 'bigint' }));
+    deepStrictEqual([result.ok, result.entities.node], [true, 3]);
+});
+
+test('safe BigInt ids with OSMWriter, locations and extract', async () => {
+    const numbers = await collect(sample, { withInfo: true });
+    const bigints = await collect(sample, { withInfo: true, ids: 'bigint' });
+    const written = await parseBuffer(await write(bigints), { withInfo: true });
+    deepStrictEqual(written.slice(1), numbers.slice(1));
+    const located = await collect(sample, { locations: true, ids: 'bigint' });
+    const way = located.find(item => item.type == 'way');
+    deepStrictEqual([way.id, way.refs, way.lat], [10n, [1n, 2n, 3n], [35.01, 35.02, 35.03]]);
+    const area = { bbox: [33, 35, 33.025, 35.025] };
+    const extracted = [];
+    for await (const item of extract(sample, area, { ids: 'bigint' }))
+        extracted.push(item);
+    deepStrictEqual(ids(extracted), ['n1', 'n2', 'n3', 'n6', 'n7', 'n8', 'w10', 'w12', 'r20', 'r21']);
+    deepStrictEqual(extracted[1].id, 1n);
+});
+
+test('OSMWriter refuses unsafe ids', async () => {
+    const items = await collect(big, { ids: 'bigint' });
+    const writer = new OSMWriter();
+    writer.resume();
+    await rejects(new Promise((resolve, reject) => {
+        writer.on('error', reject).on('finish', resolve);
+        writer.end(items);
+    }), /out of the safe integer range/);
+});
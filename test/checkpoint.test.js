@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects } from 'node:assert';
+import { readFile } from 'node:fs/promises';
+import { Readable } from 'node:stream';
+import { OSMTransform, OSMParseError } from '../parser.js';
+import { collect, fixture, ids } from './util.js';
+
+const sample = fixture('sample.osm.pbf');
+
+/** Batches pushed by OSMTransform for the bytes, with the 'skip' errors */
+async function batches(buf, opts) {
+    const transform = new OSMTransform(opts), skipped = [];
+    transform.on('skip', err => skipped.push(err));
+    const result = [];
+    for await (const batch of Readable.from([buf]).pipe(transform))
+        result.push(batch);
+    return [result, skipped];
+}
+
+test('resuming from the checkpoints', async () => {
+    const buf = await readFile(sample);
+    const [all] = await batches(buf);
+    deepStrictEqual(all.map(batch => [batch.offset, batch.nextOffset]),
+        [[0, 95], [95, 270], [270, 409], [409, 488], [488, 680], [680, 855]]);
+    for (let i = 0; i < all.length; i++) {
+        const start = all[i].nextOffset;
+        const [rest] = await batches(buf.subarray(start), { startOffset: start, totalSize: buf.length });
+        deepStrictEqual(rest.map(batch => batch.offset), all.slice(i + 1).map(batch => batch.offset));
+        deepStrictEqual(ids(rest.flat()), ids(all.slice(i + 1).flat()));
+    }
+    deepStrictEqual(ids(await collect(sample, { startOffset: 488 })), ['w10', 'w11', 'w12', 'r20', 'r21']);
+});
+
+test('wrong offsets', async () => {
+    for (const offset of [1, 94, 96, 264, 854])
+        await rejects(collect(sample, { startOffset: offset }), new RegExp(`startOffset ${offset} is not at a blob header`));
+    await rejects(collect(sample, { startOffset: 856 }), /startOffset 856/);
+    deepStrictEqual(await collect(sample, { startOffset: 855 }), []);
+});
+
+test('resync after a broken blob header', async () => {
+    const buf = Buffer.from(await readFile(sample));
+    buf.writeUInt32BE(0xfffffff, 270);      // length of the BlobHeader of the third blob
+    await rejects(batches(buf), err => err instanceof OSMParseError && err.stage == 'header'
+        && err.blob == 2 && err.offset == 270);
+    const [result, skipped] = await batches(buf, { onError: 'skip-block' });
+    deepStrictEqual(ids(result.flat()), ['n1', 'n2', 'n3', 'n4', 'n9', 'w10', 'w11', 'w12', 'r20', 'r21']);
+    deepStrictEqual(skipped.map(err => [err.stage, err.offset, err.skipped]), [['header', 270, 139]]);
+    const errors = [];
+    await batches(buf, { onError: err => errors.push(err) });
+    deepStrictEqual(errors, skipped);
+});
+
+test('truncated input', async () => {
+    const buf = (await readFile(sample)).subarray(0, 600);
+    await rejects(batches(buf), err => err.stage == 'truncated' && err.offset == 488);
+    const [result, skipped] = await batches(buf, { onError: 'skip-block' });
+    deepStrictEqual(ids(result.flat()), ['n1', 'n2', 'n3', 'n4', 'n5', 'n6', 'n7', 'n8', 'n9']);
+    deepStrictEqual(skipped.map(err => [err.stage, err.skipped]), [['truncated', 112]]);
+});
+
+test('raw blocks with createOSMStream', async () => {
+    const items = await collect(sample, { writeRaw: true });
+    deepStrictEqual(items.map(item => item.compression ?? 'header'),
+        ['header', 'zlib_data', 'zlib_data', 'zlib_data', 'zlib_data', 'zlib_data']);
+    await rejects(collect(sample, { writeRaw: true, locations: true }), /writeRaw cannot be used with locations/);
+});
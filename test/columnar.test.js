@@ -0,0 +1,80 @@
+import { test } from 'node:test';
+import { deepStrictEqual, throws } from 'node:assert';
+import { osm_options } from '../parser.js';
+import { collect, fixture } from './util.js';
+
+const pbf = fixture('sample.osm.pbf');
+
+/** Converts the columnar nodes back into node objects */
+function expand(items) {
+    const result = [];
+    for (const item of items) {
+        if (item.type != 'nodes') {
+            if (item.type !== undefined)
+                result.push(item);
+            continue;
+        }
+        for (let i = 0; i < item.count; i++) {
+            const node = { type: 'node', id: item.id[i], lat: item.lat[i], lon: item.lon[i] };
+            if (item.tagOffsets && item.tagOffsets[i] < item.tagOffsets[i + 1]) {
+                node.tags = {};
+                for (let k = item.tagOffsets[i]; k < item.tagOffsets[i + 1]; k++)
+                    node.tags[item.strings[item.tagKeys[k]]] = item.strings[item.tagVals[k]];
+            }
+            if (item.info) {
+                node.info = {
+                    version: item.info.version[i],
+                    timestamp: item.info.timestamp[i],
+                    changeset: item.info.changeset[i],
+                    uid: item.info.uid[i],
+                    user: item.strings[item.info.user[i]]
+                };
+            }
+            result.push(node);
+        }
+    }
+    return result;
+}
+
+/** Node objects with the fields which the columnar form has */
+function plain(items) {
+    return items.filter(item => item.type !== undefined).map(item => {
+        if (item.type != 'node')
+            return item;
+        const node = { type: 'node', id: item.id, lat: item.lat, lon: item.lon };
+        if (item.tags)
+            node.tags = item.tags;
+        if (item.info) {
+            const { version, timestamp, changeset, uid, user } = item.info;
+            node.info = { version, timestamp, changeset, uid, user };
+        }
+        return node;
+    });
+}
+
+test('same nodes as the objects', async () => {
+    for (const opts of [{}, { withInfo: true }, { withTags: false }, { ids: 'bigint' }]) {
+        const columnar = await collect(pbf, Object.assign({ columnar: true }, opts));
+        deepStrictEqual(expand(columnar), plain(await collect(pbf, opts)), JSON.stringify(opts));
+    }
+});
+
+test('typed arrays', async () => {
+    const nodes = (await collect(pbf, { columnar: true, withInfo: true })).filter(item => item.type == 'nodes');
+    deepStrictEqual(nodes.map(item => item.count), [4, 4, 1]);
+    const first = nodes[0];
+    deepStrictEqual(first.id, new Float64Array([1, 2, 3, 4]));
+    deepStrictEqual(first.tagOffsets, new Uint32Array([0, 2, 3, 4, 4]));
+    deepStrictEqual(first.info.version, new Int32Array([1, 2, 1, 1]));
+    const big = (await collect(pbf, { columnar: true, ids: 'bigint' })).find(item => item.type == 'nodes');
+    deepStrictEqual(big.id, new BigInt64Array([1n, 2n, 3n, 4n]));
+});
+
+test('filter expressions and types', async () => {
+    const items = await collect(pbf, { columnar: true, types: ['node'], filter: 'amenity=cafe,bar' });
+    deepStrictEqual(expand(items).map(item => item.id), [1, 3]);
+});
+
+test('wrong combinations', () => {
+    throws(() => osm_options({ columnar: true, filter: () => true }), /filter function/);
+});
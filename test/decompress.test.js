@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import { deepStrictEqual, throws } from 'node:assert';
+import * as zlib from 'node:zlib';
+import { decompress, decompressors } from '../parser.js';
+import { collect, fixture } from './util.js';
+
+// sample-lz4 and sample-lzma have the blocks of sample.osm.pbf recompressed
+// with `lz4 -12` (the block without the frame) and `xz --format=lzma`
+test('LZ4 and LZMA blocks', async () => {
+    const expected = await collect(fixture('sample.osm.pbf'), { withInfo: true });
+    for (const name of ['sample-lz4.osm.pbf', 'sample-lzma.osm.pbf'])
+        deepStrictEqual(await collect(fixture(name), { withInfo: true }), expected, name);
+});
+
+test('LZ4 overlapping matches', () => {
+    // literals 'ab', then 12 bytes from offset 2, then literals 'c'
+    const data = Buffer.from([0x28, 0x61, 0x62, 0x02, 0x00, 0x10, 0x63]);
+    const raw = { compression: 'lz4_data', data: data, raw_size: 15 };
+    deepStrictEqual(decompress(raw).toString(), 'abababababababc');
+    throws(() => decompress({ compression: 'lz4_data', data: data }), /raw_size is required/);
+    throws(() => decompress(Object.assign({}, raw, { raw_size: 16 })), /unexpected end of input/);
+    throws(() => decompress(Object.assign({}, raw, { data: Buffer.from([0x28, 0x61, 0x62, 0x05, 0x00, 0x10]) })),
+        /lz4_data: corrupted input/);
+});
+
+test('wrong LZMA data', () => {
+    throws(() => decompress({ compression: 'lzma_data', data: Buffer.alloc(5), raw_size: 5 }), /input too short/);
+    const header = Buffer.from([0x5d, 0, 0, 1, 0, 5, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+    throws(() => decompress({ compression: 'lzma_data', data: header, raw_size: 6 }), /wrong uncompressed size/);
+    header[0] = 225;
+    throws(() => decompress({ compression: 'lzma_data', data: header, raw_size: 5 }), /wrong properties/);
+});
+
+test('raw, zlib and unknown compression', () => {
+    const buf = Buffer.from('some data to compress, some data to compress');
+    deepStrictEqual(decompress({ compression: 'raw', data: buf }), buf);
+    const raw = { compression: 'zlib_data', data: zlib.deflateSync(buf), raw_size: buf.length };
+    deepStrictEqual(decompress(raw), buf);
+    throws(() => decompress(Object.assign({}, raw, { raw_size: 3 })), /zlib_data: expected 3 bytes, got 44/);
+    throws(() => decompress({ compression: 'bzip2_data', data: buf }), /decompressing bzip2_data not implemented/);
+});
+
+test('zstd', { skip: typeof zlib.zstdCompressSync != 'function' && 'needs Node.js 22.15' }, () => {
+    const buf = Buffer.from('zstd data, zstd data, zstd data');
+    deepStrictEqual(decompressors.zstd_data(zlib.zstdCompressSync(buf), buf.length), buf);
+});
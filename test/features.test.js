@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects } from 'node:assert';
+import { MultipolygonAssembler, ReplicationClient, extract } from '../parser.js';
+import { collect, fixture, ids } from './util.js';
+
+// history.osm.pbf is sample.osm with all the versions, node 4 deleted
+// in version 2, HistoricalInformation and replication fields in the header
+const history = fixture('history.osm.pbf');
+const area = { bbox: [33, 35, 33.025, 35.025] };
+
+async function extracted(file, osmopts) {
+    const items = [];
+    for await (const item of extract(file, area, osmopts))
+        items.push(item);
+    return items;
+}
+
+test('unsupported features are rejected', async () => {
+    await rejects(collect(history), /the file requires unsupported features: HistoricalInformation/);
+    await rejects(extracted(history), /unsupported features: HistoricalInformation/);
+});
+
+test('extract from a history file', async () => {
+    const items = await extracted(history, { history: true });
+    deepStrictEqual(items.slice(1).map(item => `${item.type[0]}${item.id}v${item.info.version}`),
+        ['n1v1', 'n2v1', 'n2v2', 'n3v1', 'n6v1', 'n7v1', 'n8v1', 'w10v1', 'w12v1', 'r20v1', 'r21v1']);
+    deepStrictEqual([...new Set(ids(await extracted(history, { acceptFeatures: true })))],
+        ids(await extracted(fixture('sample.osm.pbf'))));
+    // the options changing the output are for the second pass only
+    const ways = await extracted(history, { acceptFeatures: true, types: ['way'], filter: 'building' });
+    deepStrictEqual(ids(ways), ['w12']);
+    await rejects(extracted(history, { history: true, columnar: true }), /columnar cannot be used with extract/);
+});
+
+test('multipolygons of a history file', async () => {
+    const features = [];
+    for await (const feature of new MultipolygonAssembler({}, { acceptFeatures: true }).assemble(history))
+        features.push(feature.id);
+    deepStrictEqual(features, ['relation/20']);
+    await rejects(new MultipolygonAssembler().assemble(history).next(), /unsupported features/);
+});
+
+test('replication fields of a history file', async () => {
+    const client = new ReplicationClient(fixture('replication'));
+    deepStrictEqual(await client.missing(history), [101, 102, 103]);
+});
@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import { deepStrictEqual, throws } from 'node:assert';
+import { compile_filter } from '../filter.js';
+import { collect, fixture, ids } from './util.js';
+
+const pbf = fixture('sample.osm.pbf');
+const filtered = async filter => ids(await collect(pbf, { filter: filter }));
+
+test('tag keys and values', async () => {
+    deepStrictEqual(await filtered('amenity'), ['n1', 'n2', 'n3']);
+    deepStrictEqual(await filtered('amenity=cafe,restaurant'), ['n1', 'n2']);
+    deepStrictEqual(await filtered('amenity!=cafe'), ['n2', 'n3']);
+    deepStrictEqual(await filtered('highway~^res'), ['w10']);
+    deepStrictEqual(await filtered('name=Main Street'), ['w10']);
+});
+
+test('spaces around the commas are ignored', async () => {
+    deepStrictEqual(await filtered('amenity=cafe, restaurant'), ['n1', 'n2']);
+    deepStrictEqual(await filtered('n/amenity = bar ,cafe'), ['n1', 'n3']);
+});
+
+test('entity types and negation', async () => {
+    deepStrictEqual(await filtered(['n/amenity=cafe,restaurant', 'w/highway', '!highway=proposed']),
+        ['n1', 'n2', 'w10']);
+    deepStrictEqual(await filtered('!amenity'),
+        ['n4', 'n5', 'n6', 'n7', 'n8', 'n9', 'w10', 'w11', 'w12', 'r20', 'r21']);
+    deepStrictEqual(await filtered('wr/name'), ['w10']);
+    deepStrictEqual(await filtered('r/type'), ['r20', 'r21']);
+});
+
+test('ids', async () => {
+    deepStrictEqual(await filtered('@id=2, 10,21'), ['n2', 'w10', 'r21']);
+    deepStrictEqual(await filtered('w/@id=1,10'), ['w10']);
+    deepStrictEqual(ids(await collect(pbf, { filter: 'n/@id=5', ids: 'bigint' })), ['n5']);
+});
+
+test('filter function and the header', async () => {
+    const items = await collect(pbf, { filter: item => item.tags?.shop !== undefined });
+    deepStrictEqual(items[0].type, undefined);
+    deepStrictEqual(ids(items), ['n5']);
+});
+
+test('wrong expressions', () => {
+    for (const expr of ['', '=cafe', 'amenity=', '!!amenity', '@id~1', '@id=a', 'key~('])
+        throws(() => compile_filter(expr), /wrong/, expr);
+    throws(() => compile_filter([]), /wrong filter option/);
+});
@@ -0,0 +1,35 @@
+import { fileURLToPath } from 'node:url';
+import { Readable } from 'node:stream';
+import { buffer } from 'node:stream/consumers';
+import { createOSMStream, OSMTransform, OSMWriter } from '../parser.js';
+
+/** Path of a file in test/fixtures */
+export function fixture(name) {
+    return fileURLToPath(new URL(`fixtures/${name}`, import.meta.url));
+}
+
+/** Reads all items of a file (header included) into an array */
+export async function collect(file, opts) {
+    const items = [];
+    for await (const item of createOSMStream(file, opts))
+        items.push(item);
+    return items;
+}
+
+/** Ids of the entities as 'n1', 'w10' etc. */
+export function ids(items) {
+    return items.filter(item => item.type !== undefined).map(item => item.type[0] + item.id);
+}
+
+/** Writes the items with OSMWriter, returns the osm.pbf bytes */
+export function write(items, opts) {
+    return buffer(Readable.from([items]).pipe(new OSMWriter(opts)));
+}
+
+/** Parses osm.pbf bytes with OSMTransform, returns the items */
+export async function parseBuffer(buf, opts) {
+    const items = [];
+    for await (const batch of Readable.from([buf]).pipe(new OSMTransform(opts)))
+        items.push(...batch);
+    return items;
+}
@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects, throws } from 'node:assert';
+import { Readable } from 'node:stream';
+import { OSMTransform, OSMWriter } from '../parser.js';
+import { collect, fixture, parseBuffer, write } from './util.js';
+
+const sample = fixture('sample.osm.pbf');
+
+/** Number of the batches (i.e. blobs) OSMTransform pushes */
+async function blocks(buf) {
+    let n = 0;
+    for await (const batch of Readable.from([buf]).pipe(new OSMTransform()))
+        n += batch.length > 0 ? 1 : 0;
+    return n;
+}
+
+test('round trip', async () => {
+    const items = await collect(sample, { withInfo: true });
+    for (const compression of ['zlib', 'none']) {
+        const buf = await write(items, { compression: compression });
+        deepStrictEqual(await parseBuffer(buf, { withInfo: true }), items);
+    }
+    const xml = await collect(fixture('sample.osm'), { withInfo: true });
+    deepStrictEqual(await parseBuffer(await write(xml), { withInfo: true }), items);
+});
+
+test('blocks and the header', async () => {
+    const items = await collect(sample);
+    // one block for the header, one per type with the default block size
+    deepStrictEqual(await blocks(await write(items)), 4);
+    deepStrictEqual(await blocks(await write(items, { blockSize: 2 })), 1 + 5 + 2 + 1);
+    const header = (await parseBuffer(await write(items.slice(1), { writingprogram: 'test' })))[0];
+    deepStrictEqual([header.writingprogram, header.required_features],
+        ['test', ['OsmSchema-V0.6', 'DenseNodes']]);
+    throws(() => new OSMWriter({ compression: 'lz4' }), /unsupported compression lz4/);
+});
+
+test('info', async () => {
+    const items = await collect(sample, { withInfo: true });
+    const noInfo = await parseBuffer(await write(items, { withInfo: false }), { withInfo: true });
+    deepStrictEqual(noInfo.slice(1).filter(item => item.info !== undefined), []);
+    // the missing fields are not written, visible is written only with HistoricalInformation
+    const node = { type: 'node', id: 1, lat: 1, lon: 2, info: { version: 3, visible: false } };
+    const way = { type: 'way', id: 2, refs: [1], info: { timestamp: 1e12, visible: false } };
+    let read = await parseBuffer(await write([node, way]), { withInfo: true });
+    deepStrictEqual(read.slice(1).map(item => item.info), [{ version: 3 }, { timestamp: 1e12 }]);
+    const header = { required_features: ['HistoricalInformation'] };
+    read = await parseBuffer(await write([header, node, way]), { withInfo: true, acceptFeatures: true });
+    deepStrictEqual(read.slice(1).map(item => item.info),
+        [{ version: 3, visible: false }, { timestamp: 1e12, visible: false }]);
+});
+
+test('locations on ways', async () => {
+    const items = await collect(sample, { locations: true });
+    const header = Object.assign({}, items[0], { optional_features: ['LocationsOnWays'] });
+    const buf = await write([header, ...items.slice(1)]);
+    deepStrictEqual(await parseBuffer(buf), [header, ...items.slice(1)]);
+});
+
+test('wrong input', async () => {
+    const writer = new OSMWriter().resume();
+    await rejects(new Promise((resolve, reject) => {
+        writer.on('error', reject).on('finish', resolve);
+        writer.write({ type: 'node', id: 1, lat: 0, lon: 0 });
+        writer.end({});
+    }), /OSM header must precede all entities/);
+});
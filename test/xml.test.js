@@ -0,0 +1,47 @@
+import { test } from 'node:test';
+import { deepStrictEqual, rejects } from 'node:assert';
+import { copyFile, mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MultipolygonAssembler, extract } from '../parser.js';
+import { collect, fixture, ids } from './util.js';
+
+const xml = fixture('sample.osm');
+
+test('same items as osm.pbf', async () => {
+    for (const opts of [{}, { withInfo: true }, { withTags: { node: ['name'] } }, { ids: 'bigint' }]) {
+        const expected = await collect(fixture('sample.osm.pbf'), opts);
+        // OSMWriter adds DenseNodes to the header
+        expected[0].required_features = ['OsmSchema-V0.6'];
+        deepStrictEqual(await collect(xml, opts), expected);
+    }
+});
+
+test('types', async () => {
+    deepStrictEqual(ids(await collect(xml, { types: ['way', 'relation'] })), ['w10', 'w11', 'w12', 'r20', 'r21']);
+});
+
+test('unsupported options', async () => {
+    await rejects(collect(xml, { filter: 'amenity' }), /filter is not supported for XML input/);
+    await rejects(collect(xml, { columnar: true }), /columnar is not supported for XML input/);
+    await rejects(collect(xml, { startOffset: 95 }), /startOffset is not supported for XML input/);
+});
+
+test('extract and multipolygons', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'osm-'));
+    try {
+        const file = join(dir, 'sample.txt');
+        await copyFile(xml, file);
+        await rejects(collect(file), /wrong BlobHeader length/);
+        const items = [];
+        for await (const item of extract(file, { bbox: [33, 35, 33.025, 35.025] }, { format: 'xml' }))
+            items.push(item);
+        deepStrictEqual(ids(items), ['n1', 'n2', 'n3', 'n6', 'n7', 'n8', 'w10', 'w12', 'r20', 'r21']);
+        const features = [];
+        for await (const feature of new MultipolygonAssembler({}, { format: 'xml' }).assemble(file))
+            features.push(feature.id);
+        deepStrictEqual(features, ['relation/20']);
+    } finally {
+        await rm(dir, { recursive: true });
+    }
+});
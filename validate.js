@@ -0,0 +1,100 @@
+import { IdSet } from './idset.js';
+import { typeOrder } from './parser.js';
+
+/**
+ * Checks the referential integrity of a stream of entities, such as
+ * the output of OSMTransform (arrays) or createOSMStream. Returns
+ * {ok, sorted, entities: {node, way, relation, changeset}, issues},
+ * where every issue is {count, sample} with the sample of up to
+ * opts.sampleSize (10 by default) ids like 'way/123', the missing
+ * references also have refs, the number of the missing ids.
+ * The ids of all entities are kept in memory.
+ * @param {AsyncIterable<object|object[]>} items
+ * @param {{sampleSize?: number}} opts
+ */
+export async function validate(items, opts = {}) {
+    const sampleSize = opts.sampleSize ?? 10;
+    const issue = refs => refs ? { count: 0, refs: 0, sample: [] } : { count: 0, sample: [] };
+    const issues = {
+        missingNodes: issue(true),      // ways with refs to missing nodes
+        missingMembers: issue(true),    // relations with missing members
+        duplicateIds: issue(),
+        unsorted: issue(),              // out of order though the header says sorted
+        shortWays: issue(),             // ways with less than 2 nodes
+        badCoordinates: issue()         // nodes outside of the lat/lon range
+    };
+    const report = (name, type, id, refs = 0) => {
+        const entry = issues[name];
+        entry.count++;
+        if (refs)
+            entry.refs += refs;
+        if (entry.sample.length < sampleSize)
+            entry.sample.push(`${type}/${id}`);
+    };
+    const ids = {
+        node: new IdSet(), way: new IdSet(), relation: new IdSet(), changeset: new IdSet()
+    };
+    const entities = { node: 0, way: 0, relation: 0, changeset: 0 };
+    const pending = [];      // [name, type, id, refs not found yet]
+    let sorted = false, prev = null;
+
+    const check = (type, id) => {
+        entities[type]++;
+        if (!ids[type].add(id))
+            report('duplicateIds', type, id);
+        else if (sorted && prev && (typeOrder[type] < typeOrder[prev.type]
+            || (type == prev.type && id < prev.id)))
+            report('unsorted', type, id);
+        prev = { type: type, id: id };
+    };
+    const node = (id, lat, lon) => {
+        check('node', id);
+        if (!(lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180))
+            report('badCoordinates', 'node', id);
+    };
+
+    for await (const chunk of items) {
+        for (const item of Array.isArray(chunk) ? chunk : [chunk]) {
+            if (item.type === undefined) {     // header
+                sorted = item.sorted ?? item.optional_features?.includes('Sort.Type_then_ID') ?? false;
+                continue;
+            }
+            if (item.type == 'nodes') {        // columnar
+                for (let i = 0; i < item.count; i++)
+                    node(item.id[i], item.lat[i], item.lon[i]);
+                continue;
+            }
+            if (typeOrder[item.type] === undefined)
+                throw new Error(`cannot validate item of type ${item.type}`);
+            if (item.type == 'node')
+                node(item.id, item.lat, item.lon);
+            else
+                check(item.type, item.id);
+            if (item.type == 'way') {
+                if (item.refs.length < 2)
+                    report('shortWays', 'way', item.id);
+                const missing = item.refs.filter(ref => !ids.node.has(ref));
+                if (missing.length > 0)
+                    pending.push(['missingNodes', 'way', item.id, missing]);
+            }
+            else if (item.type == 'relation') {
+                const missing = item.members.filter(m => !ids[m.type]?.has(m.ref));
+                if (missing.length > 0)
+                    pending.push(['missingMembers', 'relation', item.id, missing]);
+            }
+        }
+    }
+    // the references could be to the entities further in the file
+    for (const [name, type, id, refs] of pending) {
+        const missing = name == 'missingNodes' ? refs.filter(ref => !ids.node.has(ref))
+            : refs.filter(m => !ids[m.type]?.has(m.ref));
+        if (missing.length > 0)
+            report(name, type, id, missing.length);
+    }
+    return {
+        ok: Object.values(issues).every(entry => entry.count == 0),
+        sorted: sorted,
+        entities: entities,
+        issues: issues
+    };
+}
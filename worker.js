@@ -0,0 +1,103 @@
+import { Worker, isMainThread, parentPort, workerData } from 'node:worker_threads';
+import { decode_block } from './parser.js';
+import { OSMParseError } from './errors.js';
+
+const marker = 'osm-pbf-parser-node';
+
+/**
+ * Fixed-size pool of worker threads, each one decompresses
+ * and parses OSMData blocks.
+ */
+export class WorkerPool {
+    /**
+     * @param {number} size number of worker threads
+     * @param {object} opts parse options as in OSMTransform.with
+     */
+    constructor(size, opts) {
+        this.idle = [];
+        this.busy = new Map();   // worker => task
+        this.queue = [];
+        this.workers = [];
+        for (let i = 0; i < size; i++) {
+            const worker = new Worker(new URL(import.meta.url), {
+                workerData: { [marker]: true, opts: opts }
+            });
+            worker.on('message', msg => this.done(worker, msg));
+            worker.on('error', err => this.fail(worker, err));
+            worker.on('exit', code => {
+                if (this.busy.has(worker))
+                    this.fail(worker, new Error(`worker exited with code ${code}`));
+            });
+            this.workers.push(worker);
+            this.idle.push(worker);
+        }
+    }
+
+    /**
+     * Returns a promise of the parsed block {batch, last}, see parse_block.
+     * @param {{compression: string, data: Buffer, raw_size?: number}} raw
+     */
+    run(raw) {
+        // copy the data into its own ArrayBuffer, it will be transferred
+        const data = new Uint8Array(raw.data);
+        return new Promise((resolve, reject) => {
+            this.queue.push({
+                raw: Object.assign({}, raw, { data: data }),
+                resolve: resolve,
+                reject: reject
+            });
+            this.next();
+        });
+    }
+
+    next() {
+        while (this.idle.length > 0 && this.queue.length > 0) {
+            const worker = this.idle.pop();
+            const task = this.queue.shift();
+            this.busy.set(worker, task);
+            worker.postMessage(task.raw, [task.raw.data.buffer]);
+        }
+    }
+
+    done(worker, msg) {
+        const task = this.busy.get(worker);
+        this.busy.delete(worker);
+        this.idle.push(worker);
+        if (msg.error) {
+            task.reject(msg.stage ? new OSMParseError(msg.error, { stage: msg.stage })
+                : new Error(msg.error));
+        }
+        else
+            task.resolve(msg);
+        this.next();
+    }
+
+    fail(worker, err) {
+        const task = this.busy.get(worker);
+        this.busy.delete(worker);
+        task?.reject(err);
+        for (const t of this.queue)
+            t.reject(err);
+        this.queue = [];
+    }
+
+    terminate() {
+        const workers = this.workers;
+        this.workers = [];
+        this.idle = [];
+        return Promise.all(workers.map(w => w.terminate()));
+    }
+}
+
+if (!isMainThread && workerData?.[marker]) {
+    const opts = workerData.opts;
+    parentPort.on('message', raw => {
+        try {
+            raw.data = Buffer.from(raw.data.buffer, raw.data.byteOffset, raw.data.length);
+            parentPort.postMessage(decode_block(raw, opts));
+        } catch (err) {
+            parentPort.postMessage(err instanceof OSMParseError
+                ? { error: err.reason, stage: err.stage } : { error: err.message });
+        }
+    });
+}
@@ -0,0 +1,312 @@
+import { Transform } from 'node:stream';
+import { deflateSync } from 'node:zlib';
+import Pbf from 'pbf';
+import { Blob as BlobData, BlobHeader } from './proto/fileformat.js';
+import { HeaderBlock, PrimitiveBlock } from './proto/osmformat.js';
+import { raw_header } from './header.js';
+import { safe_number } from './idset.js';
+import { isEmpty, maxHeaderSize, maxBlobSize } from './parser.js';
+
+const memberTypes = { node: 0, way: 1, relation: 2 };
+
+const maxBlockSize = 16 * 1024 * 1024;   // recommended max for uncompressed blocks
+
+/**
+ * Transforms arrays of OSM entities (as pushed by OSMTransform) or single
+ * entities into a stream of bytes in the osm.pbf format.
+ */
+export class OSMWriter extends Transform {
+    constructor(osmopts = {}, opts = {}) {
+        super(Object.assign({}, opts, {
+            writableObjectMode: true,
+            readableObjectMode: false
+        }));
+        const compression = osmopts.compression ?? 'zlib';
+        if (compression != 'zlib' && compression != 'none')
+            throw new Error(`unsupported compression ${compression}`);
+        this.opts = {
+            blockSize: osmopts.blockSize ?? 8000,
+            compression: compression,
+            compressionLevel: osmopts.compressionLevel ?? 6,
+            withInfo: osmopts.withInfo ?? true,
+            writingprogram: osmopts.writingprogram
+        };
+        this.headerWritten = false;
+        this.historical = false;   // whether the header has HistoricalInformation
+        /** @type {object[]} */
+        this.block = [];     // entities of the next OSMData block
+        this.blockType = null;
+    }
+
+    _transform(chunk, encoding, next) {
+        try {
+            if (Array.isArray(chunk)) {
+                for (const item of chunk)
+                    this.add(item);
+            } else
+                this.add(chunk);
+        } catch (err) {
+            return next(err);
+        }
+        next();
+    }
+
+    _flush(callback) {
+        try {
+            if (!this.headerWritten)
+                this.writeHeader({});
+            this.writeBlock();
+        } catch (err) {
+            return callback(err);
+        }
+        callback();
+    }
+
+    add(item) {
+        if (item.type === undefined) {
+            if (this.headerWritten)
+                throw new Error('OSM header must precede all entities');
+            return this.writeHeader(item);
+        }
+        if (memberTypes[item.type] === undefined)
+            throw new Error(`cannot write item of type ${item.type}`);
+        if (!this.headerWritten)
+            this.writeHeader({});
+        if (item.type != this.blockType || this.block.length >= this.opts.blockSize)
+            this.writeBlock();
+        this.blockType = item.type;
+        this.block.push(item);
+    }
+
+    writeHeader(header) {
+        header = raw_header(header);
+        const required = ['OsmSchema-V0.6', 'DenseNodes'];
+        for (const f of header.required_features ?? []) {
+            if (!required.includes(f))
+                required.push(f);
+        }
+        const block = Object.assign({}, header, {
+            required_features: required,
+            writingprogram: this.opts.writingprogram ?? header.writingprogram
+                ?? 'osm-pbf-parser-node'
+        });
+        this.push(this.frame('OSMHeader', encode(HeaderBlock, block)));
+        this.headerWritten = true;
+        this.historical = required.includes('HistoricalInformation');
+    }
+
+    writeBlock(items = this.block) {
+        if (items.length == 0)
+            return;
+        const buf = encode(PrimitiveBlock, encode_block(items, this.opts.withInfo,
+            this.historical));
+        if (buf.length > maxBlockSize && items.length > 1) {
+            const half = items.length >> 1;
+            this.writeBlock(items.slice(0, half));
+            this.writeBlock(items.slice(half));
+        } else
+            this.push(this.frame('OSMData', buf));
+        if (items == this.block)
+            this.block = [];
+    }
+
+    /** Wraps an encoded block into BlobHeader and Blob */
+    frame(type, buf) {
+        const blob = {};
+        if (this.opts.compression == 'zlib') {
+            blob.raw_size = buf.length;
+            blob.zlib_data = deflateSync(buf, { level: this.opts.compressionLevel });
+        } else
+            blob.raw = buf;
+        const data = encode(BlobData, blob);
+        if (data.length > maxBlobSize)
+            throw new Error(`${type} block is too big: ${data.length} bytes`);
+        const header = encode(BlobHeader, { type: type, datasize: data.length });
+        if (header.length > maxHeaderSize)
+            throw new Error(`BlobHeader is too big: ${header.length} bytes`);
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(header.length);
+        return Buffer.concat([length, header, data]);
+    }
+}
+
+function encode(message, obj) {
+    const pbf = new Pbf();
+    message.write(obj, pbf);
+    const buf = pbf.finish();
+    return Buffer.from(buf.buffer, buf.byteOffset, buf.length);
+}
+
+/**
+ * Builds a PrimitiveBlock of entities of the same type.
+ * Strings are numbered by decreasing frequency to keep varints short.
+ * The visible flags are written only if historical (HistoricalInformation).
+ */
+function encode_block(items, withInfo, historical) {
+    const counts = new Map();
+    const count = s => counts.set(s, (counts.get(s) ?? 0) + 1);
+    for (const item of items) {
+        if (item.tags) {
+            for (const [key, val] of Object.entries(item.tags)) {
+                count(key);
+                count(String(val));
+            }
+        }
+        if (withInfo && item.info?.user)
+            count(item.info.user);
+        if (item.members) {
+            for (const m of item.members)
+                count(m.role ?? '');
+        }
+    }
+    counts.delete('');
+    const strings = [''].concat([...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)));
+    const st = new Map(strings.map((s, i) => [s, i]));
+
+    const group = {};
+    const type = items[0].type;
+    if (type == 'node')
+        group.dense = encode_dense(items, st, withInfo, historical);
+    else if (type == 'way')
+        group.ways = items.map(w => encode_way(w, st, withInfo, historical));
+    else
+        group.relations = items.map(r => encode_rel(r, st, withInfo, historical));
+    return {
+        stringtable: { s: strings.map(s => Buffer.from(s, 'utf8')) },
+        primitivegroup: [group]
+    };
+}
+
+function encode_tags(tags, st) {
+    const keys = [], vals = [];
+    if (tags) {
+        for (const [key, val] of Object.entries(tags)) {
+            keys.push(st.get(key));
+            vals.push(st.get(String(val)));
+        }
+    }
+    return [keys, vals];
+}
+
+/** Converts a coordinate in degrees into units of the default granularity */
+function coord(deg) {
+    return Math.round((deg ?? 0) * 1e7);
+}
+
+function seconds(timestamp) {
+    if (typeof timestamp != 'number')
+        timestamp = new Date(timestamp).getTime();
+    return Math.round(timestamp / 1000);
+}
+
+/** The missing fields are left undefined (version) or 0, which is not written */
+function encode_info(info, st, historical) {
+    const result = {
+        version: info.version,
+        timestamp: info.timestamp ? seconds(info.timestamp) : 0,
+        changeset: safe_number(info.changeset ?? 0),
+        uid: info.uid ?? 0,
+        user_sid: info.user ? st.get(info.user) : 0
+    };
+    if (historical)
+        result.visible = info.visible !== false;
+    return result;
+}
+
+function encode_dense(nodes, st, withInfo, historical) {
+    const dense = { id: [], lat: [], lon: [], keys_vals: [] };
+    const withTags = nodes.some(n => n.tags && !isEmpty(n.tags));
+    const hasInfo = withInfo && nodes.some(n => n.info);
+    const dinfo = {
+        version: [], timestamp: [], changeset: [],
+        uid: [], user_sid: [], visible: []
+    };
+    let id = 0, lat = 0, lon = 0;
+    let timestamp = 0, changeset = 0, uid = 0, user_sid = 0;
+    for (const n of nodes) {
+        const nlat = coord(n.lat), nlon = coord(n.lon);
+        const nid = safe_number(n.id);
+        dense.id.push(nid - id);
+        dense.lat.push(nlat - lat);
+        dense.lon.push(nlon - lon);
+        id = nid;
+        lat = nlat;
+        lon = nlon;
+        if (withTags) {
+            const [keys, vals] = encode_tags(n.tags, st);
+            for (let i = 0; i < keys.length; i++)
+                dense.keys_vals.push(keys[i], vals[i]);
+            dense.keys_vals.push(0);
+        }
+        if (hasInfo) {
+            const info = encode_info(n.info ?? {}, st, historical);
+            dinfo.version.push(Math.max(info.version ?? 0, 0));
+            dinfo.timestamp.push(info.timestamp - timestamp);
+            dinfo.changeset.push(info.changeset - changeset);
+            dinfo.uid.push(info.uid - uid);
+            dinfo.user_sid.push(info.user_sid - user_sid);
+            if (historical)
+                dinfo.visible.push(info.visible);
+            timestamp = info.timestamp;
+            changeset = info.changeset;
+            uid = info.uid;
+            user_sid = info.user_sid;
+        }
+    }
+    if (hasInfo) {
+        if (dinfo.visible.every(v => v))
+            dinfo.visible = [];
+        dense.denseinfo = dinfo;
+    }
+    return dense;
+}
+
+function encode_way(w, st, withInfo, historical) {
+    const [keys, vals] = encode_tags(w.tags, st);
+    const refs = Array(w.refs.length);
+    let ref = 0;
+    for (let i = 0; i < w.refs.length; i++) {
+        const wref = safe_number(w.refs[i]);
+        refs[i] = wref - ref;
+        ref = wref;
+    }
+    const way = { id: safe_number(w.id), keys: keys, vals: vals, refs: refs };
+    if (w.lat && w.lon) {     // LocationsOnWays
+        if (w.lat.length != w.refs.length || w.lon.length != w.refs.length)
+            throw new Error(`way ${w.id}: lat and lon must be parallel to refs`);
+        way.lat = Array(w.lat.length);
+        way.lon = Array(w.lon.length);
+        let lat = 0, lon = 0;
+        for (let i = 0; i < w.lat.length; i++) {
+            const wlat = coord(w.lat[i]), wlon = coord(w.lon[i]);
+            way.lat[i] = wlat - lat;
+            way.lon[i] = wlon - lon;
+            lat = wlat;
+            lon = wlon;
+        }
+    }
+    if (withInfo && w.info)
+        way.info = encode_info(w.info, st, historical);
+    return way;
+}
+
+function encode_rel(r, st, withInfo, historical) {
+    const [keys, vals] = encode_tags(r.tags, st);
+    const n = r.members.length;
+    const rel = {
+        id: safe_number(r.id), keys: keys, vals: vals,
+        roles_sid: Array(n), memids: Array(n), types: Array(n)
+    };
+    let ref = 0;
+    for (let i = 0; i < n; i++) {
+        const m = r.members[i];
+        rel.roles_sid[i] = st.get(m.role ?? '');
+        const mref = safe_number(m.ref);
+        rel.memids[i] = mref - ref;
+        rel.types[i] = memberTypes[m.type];
+        ref = mref;
+    }
+    if (withInfo && r.info)
+        rel.info = encode_info(r.info, st, historical);
+    return rel;
+}
@@ -0,0 +1,393 @@
+import { Transform } from 'node:stream';
+import { StringDecoder } from 'node:string_decoder';
+import { isEmpty, osm_options } from './parser.js';
+import { normalizeHeader } from './header.js';
+
+const TAG = /<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+const ATTR = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const ENTITY = /&(#x[0-9a-fA-F]+|#[0-9]+|amp|lt|gt|quot|apos);/g;
+const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const specials = [['<?', '?>'], ['<!--', '-->'], ['<![CDATA[', ']]>'], ['<!', '>']];
+
+function unescape(s) {
+    if (s.indexOf('&') < 0)
+        return s;
+    return s.replace(ENTITY, (m, e) => {
+        if (e[0] != '#')
+            return entities[e];
+        return String.fromCodePoint(e[1] == 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1)));
+    });
+}
+
+/**
+ * Minimal streaming XML tokenizer, just enough for the OSM formats:
+ * calls handler.open(name, attrs), handler.close(name) and
+ * handler.text(text) if defined. Declarations, comments and
+ * doctypes are skipped, namespaces are not interpreted.
+ */
+export class XmlTokenizer {
+    constructor(handler) {
+        this.handler = handler;
+        this.decoder = new StringDecoder('utf8');
+        this.rest = '';
+        this.stack = [];    // names of the open elements
+    }
+
+    /** Consumes a chunk of bytes or a string, keeping an incomplete tag for later */
+    write(chunk) {
+        const s = this.rest + (typeof chunk == 'string' ? chunk : this.decoder.write(chunk));
+        let pos = 0;
+        while (pos < s.length) {
+            const lt = s.indexOf('<', pos);
+            if (lt < 0)
+                break;       // the text may end with a part of an entity
+            if (lt > pos)
+                this.text(s.slice(pos, lt));
+            pos = lt;
+            const special = specials.find(([start]) => s.startsWith(start, pos));
+            if (special) {
+                const [start, end] = special;
+                const e = s.indexOf(end, pos + start.length);
+                if (e < 0)
+                    break;
+                if (start == '<![CDATA[' && this.handler.text)
+                    this.handler.text(s.slice(pos + start.length, e));
+                pos = e + end.length;
+                continue;
+            }
+            TAG.lastIndex = pos;
+            const m = TAG.exec(s);
+            if (m == null) {
+                check_incomplete(s, pos);
+                break;
+            }
+            pos = TAG.lastIndex;
+            const [, closing, name, attrs, empty] = m;
+            if (closing) {
+                if (attrs || empty)
+                    throw new Error(`XML syntax error near ${m[0].slice(0, 40)}`);
+                const open = this.stack.pop();
+                if (open != name)
+                    throw new Error(`XML syntax error: </${name}> does not match <${open}>`);
+                this.handler.close(name);
+                continue;
+            }
+            const obj = {};
+            if (attrs) {
+                for (const a of attrs.matchAll(ATTR))
+                    obj[a[1]] = unescape(a[2] ?? a[3]);
+            }
+            this.handler.open(name, obj);
+            if (empty)
+                this.handler.close(name);
+            else
+                this.stack.push(name);
+        }
+        this.rest = s.slice(pos);
+    }
+
+    /** Checks that the input ends after the root element */
+    end() {
+        const s = this.rest + this.decoder.end();
+        this.rest = '';
+        if (s.trim() != '' || this.stack.length > 0)
+            throw new Error('unexpected end of XML input');
+    }
+
+    text(s) {
+        if (this.handler.text)
+            this.handler.text(unescape(s));
+    }
+}
+
+/** Throws unless the tag starting at pos is just incomplete */
+function check_incomplete(s, pos) {
+    let quote = null;
+    for (let i = pos + 1; i < s.length; i++) {
+        const c = s[i];
+        if (quote) {
+            if (c == quote)
+                quote = null;
+        } else if (c == '"' || c == "'")
+            quote = c;
+        else if (c == '>' || c == '<')
+            throw new Error(`XML syntax error near ${s.slice(pos, Math.min(i + 1, pos + 40))}`);
+    }
+}
+
+/**
+ * Transforms OSM XML (as produced by the OSM API, JOSM, Overpass or osmium)
+ * into arrays of the same objects as pushed by OSMTransform.
+ * The header is built from the <osm> and <bounds> elements.
+ * The changesets (e.g. from the changeset dump) become {type: 'changeset', ...}.
+ */
+export class OSMXmlTransform extends Transform {
+    constructor(osmopts = { withTags: true, withInfo: false }, opts = {}) {
+        super(Object.assign({}, opts, {
+            writableObjectMode: false,
+            readableObjectMode: true
+        }));
+        this.with = osm_options(osmopts);
+        if (this.with.writeRaw)
+            throw new Error('writeRaw is not supported for XML input');
+        if (this.with.filter)
+            throw new Error('filter is not supported for XML input');
+        if (this.with.columnar)
+            throw new Error('columnar is not supported for XML input');
+        this.header = null;   // pushed before the first entity
+        this.item = null;     // entity being read
+        this.comment = null;  // changeset comment whose <text> is being read
+        this.batch = [];
+        this.tokenizer = new XmlTokenizer({
+            open: (name, attrs) => this.open(name, attrs),
+            close: name => this.close(name),
+            text: text => this.text(text)
+        });
+    }
+
+    _transform(chunk, encoding, next) {
+        try {
+            this.tokenizer.write(chunk);
+        } catch (err) {
+            return next(err);
+        }
+        this.flushBatch();
+        next();
+    }
+
+    _flush(callback) {
+        try {
+            this.tokenizer.end();
+            if (this.header == null)
+                throw new Error('no <osm> element in XML input');
+            this.pushHeader();
+        } catch (err) {
+            return callback(err);
+        }
+        this.flushBatch();
+        callback();
+    }
+
+    flushBatch() {
+        if (this.batch.length > 0) {
+            this.push(this.batch);
+            this.batch = [];
+        }
+    }
+
+    pushHeader() {
+        if (this.header && !this.header.pushed) {
+            this.header.pushed = true;
+            const block = this.header.block;
+            this.push([this.with.header == 'normalized' ? normalizeHeader(block) : block]);
+        }
+    }
+
+    open(name, attrs) {
+        switch (name) {
+            case 'osm':
+                this.header = { pushed: false, block: xml_header(attrs) };
+                break;
+            case 'bounds':
+                if (this.header && !this.header.pushed)
+                    this.header.block.bbox = xml_bbox(attrs);
+                break;
+            case 'meta':      // Overpass
+                if (this.header && !this.header.pushed && attrs.osm_base) {
+                    this.header.block.osmosis_replication_timestamp =
+                        Math.floor(Date.parse(attrs.osm_base) / 1000);
+                }
+                break;
+            case 'node':
+            case 'way':
+            case 'relation':
+                this.pushHeader();
+                this.item = xml_entity(name, attrs, this.with);
+                break;
+            case 'changeset':
+                this.pushHeader();
+                this.item = xml_changeset(attrs, this.with);
+                break;
+            case 'text':
+                if (this.item?.discussion)
+                    this.comment = this.item.discussion[this.item.discussion.length - 1];
+                break;
+            default:
+                if (this.item)
+                    xml_child(this.item, name, attrs, this.with);
+        }
+    }
+
+    close(name) {
+        if (this.item && name == this.item.type) {
+            if (!this.with.types || this.with.types[this.item.type])
+                this.batch.push(xml_finish(this.item));
+            this.item = null;
+        }
+        else if (name == 'text')
+            this.comment = null;
+    }
+
+    text(text) {
+        if (this.comment)
+            this.comment.text += text;
+    }
+}
+
+function xml_header(attrs) {
+    return {
+        bbox: null,
+        required_features: ['OsmSchema-V0.6'],
+        optional_features: [],
+        writingprogram: attrs.generator ?? '',
+        source: '',
+        osmosis_replication_timestamp: 0,
+        osmosis_replication_sequence_number: 0,
+        osmosis_replication_base_url: ''
+    };
+}
+
+/** Converts <bounds> into HeaderBBox in nanodegrees */
+function xml_bbox(attrs) {
+    const nano = deg => Math.round(Number(deg) * 1e9);
+    return {
+        left: nano(attrs.minlon),
+        right: nano(attrs.maxlon),
+        top: nano(attrs.maxlat),
+        bottom: nano(attrs.minlat)
+    };
+}
+
+/** Converts an id (or changeset) attribute as the option ids says */
+function xml_id(s, opts) {
+    if (opts.ids == 'bigint')
+        return BigInt(s);
+    const id = Number(s);
+    if (!Number.isSafeInteger(id))
+        throw new Error(`${s} is out of the safe integer range, use the option ids: 'bigint'`);
+    return id;
+}
+
+/** Starts an entity, its tags, nodes or members are added by xml_child */
+export function xml_entity(type, attrs, opts) {
+    const item = { type: type, id: xml_id(attrs.id, opts) };
+    if (type == 'node') {
+        item.lat = Number(attrs.lat);
+        item.lon = Number(attrs.lon);
+    } else if (type == 'way')
+        item.refs = [];
+    else
+        item.members = [];
+    const filter = opts.withTags[type];
+    if (filter)
+        item.tags = {};
+    if (opts.withInfo) {
+        const info = xml_info(attrs, opts);
+        if (info)
+            item.info = info;
+    }
+    return item;
+}
+
+export function xml_info(attrs, opts) {
+    const info = {};
+    if (attrs.version !== undefined && attrs.version != '0')
+        info.version = Number(attrs.version);
+    if (attrs.timestamp)
+        info.timestamp = Date.parse(attrs.timestamp);
+    if (attrs.changeset !== undefined && attrs.changeset != '0')
+        info.changeset = xml_id(attrs.changeset, opts);
+    if (attrs.uid !== undefined && attrs.uid != '0')
+        info.uid = Number(attrs.uid);
+    if (attrs.user)
+        info.user = attrs.user;
+    if (opts.history)
+        info.visible = attrs.visible != 'false';
+    else if (attrs.visible == 'false')
+        info.visible = false;
+    return isEmpty(info) ? null : info;
+}
+
+/** Starts a changeset, its tags and comments are added by xml_child */
+export function xml_changeset(attrs, opts) {
+    const item = { type: 'changeset', id: xml_id(attrs.id, opts) };
+    if (attrs.created_at)
+        item.createdAt = Date.parse(attrs.created_at);
+    if (attrs.closed_at)
+        item.closedAt = Date.parse(attrs.closed_at);
+    item.open = attrs.open == 'true';
+    if (attrs.user !== undefined)
+        item.user = attrs.user;
+    if (attrs.uid !== undefined)
+        item.uid = Number(attrs.uid);
+    if (attrs.min_lat !== undefined && attrs.min_lon !== undefined) {
+        item.bbox = {
+            left: Number(attrs.min_lon), bottom: Number(attrs.min_lat),
+            right: Number(attrs.max_lon), top: Number(attrs.max_lat)
+        };
+    }
+    item.numChanges = Number(attrs.num_changes ?? 0);
+    item.commentsCount = Number(attrs.comments_count ?? 0);
+    if (opts.withTags.changeset)
+        item.tags = {};
+    return item;
+}
+
+export function xml_child(item, name, attrs, opts) {
+    if (name == 'tag') {
+        const filter = opts.withTags[item.type];
+        if (filter && (filter === true || filter.has(attrs.k)))
+            item.tags[attrs.k] = attrs.v ?? '';
+    }
+    else if (name == 'nd' && item.refs) {
+        item.refs.push(xml_id(attrs.ref, opts));
+        if (attrs.lat !== undefined && attrs.lon !== undefined) {
+            // Overpass "out geom" gives the node locations like LocationsOnWays
+            (item.lat ??= []).push(Number(attrs.lat));
+            (item.lon ??= []).push(Number(attrs.lon));
+        }
+    }
+    else if (name == 'member' && item.members) {
+        item.members.push({
+            type: attrs.type,
+            ref: xml_id(attrs.ref, opts),
+            role: attrs.role ?? ''
+        });
+    }
+    else if (name == 'discussion' && item.type == 'changeset')
+        item.discussion = [];
+    else if (name == 'comment' && item.discussion) {
+        item.discussion.push({
+            date: Date.parse(attrs.date),
+            uid: Number(attrs.uid),
+            user: attrs.user,
+            text: ''
+        });
+    }
+}
+
+/** Puts the properties into the same order as in the objects from osm.pbf */
+export function xml_finish(item) {
+    if (item.type == 'changeset') {
+        if (item.tags && isEmpty(item.tags))
+            delete item.tags;
+        return item;
+    }
+    const result = { type: item.type, id: item.id };
+    if (item.type == 'node') {
+        result.lat = item.lat;
+        result.lon = item.lon;
+    } else if (item.type == 'way') {
+        result.refs = item.refs;
+        if (item.lat && item.lat.length == item.refs.length) {
+            result.lat = item.lat;
+            result.lon = item.lon;
+        }
+    } else
+        result.members = item.members;
+    if (item.tags && !isEmpty(item.tags))
+        result.tags = item.tags;
+    if (item.info)
+        result.info = item.info;
+    return result;
+}